@@ -10,6 +10,13 @@ fastify.register(require('@fastify/static'), {
   prefix: '/',
 });
 
+// Register shared modules (loaded by both the browser and the game server)
+fastify.register(require('@fastify/static'), {
+  root: path.join(__dirname, 'shared'),
+  prefix: '/shared/',
+  decorateReply: false,
+});
+
 // Register WebSocket support
 fastify.register(require('@fastify/websocket'));
 
@@ -37,4 +44,22 @@ const start = async () => {
   }
 };
 
+// Close the server on Ctrl+C or a kill, letting open games save their replays first
+// A second signal doesn't wait
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) process.exit(1);
+  shuttingDown = true;
+  console.log(`${signal} received - shutting down`);
+  try {
+    await fastify.close();
+    process.exit(0);
+  } catch (err) {
+    fastify.log.error(err);
+    process.exit(1);
+  }
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 start();
\ No newline at end of file
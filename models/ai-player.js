@@ -3,6 +3,7 @@
 class AIPlayer {
     constructor(aiPlayerId, initialData = {}) {
         this.id = aiPlayerId;
+        this.netId = initialData.netId || 0; // Compact numeric id used in snapshots (assigned by GameState)
         this.x = initialData.x || 0;
         this.y = initialData.y || 0;
         this.vx = initialData.vx || 0; // velocity x
@@ -10,7 +11,16 @@ class AIPlayer {
         this.hoverMode = initialData.hoverMode || false;
         this.landingGear = initialData.landingGear || false;
         this.facingRight = initialData.facingRight || false;
+        this.onGround = initialData.onGround || false;
+        this.crashed = false; // Wrecked - frozen until respawned
+        this.platformId = 0; // Platform the taxi is resting on (0 = none or the ground)
+        this.landedOn = 0; // Platform the taxi landed on and hasn't left since (0 = none - e.g. just spawned)
+        this.respawnTimer = 0; // Seconds until a crashed taxi respawns
+        this.cash = initialData.cash || 0; // Fares and tips earned
+        this.fuel = initialData.fuel || 0; // Fuel units in the tank (filled on respawn)
+        this.input = { w: false, a: false, s: false, d: false }; // Thrusters currently firing
         this.type = initialData.type || 'default';
+        this.difficulty = initialData.difficulty || 'normal'; // AIController difficulty preset (easy, normal, hard)
         this.health = initialData.health || 100;
         this.lastUpdateTime = Date.now();
     }
@@ -34,10 +44,26 @@ class AIPlayer {
         this.lastUpdateTime = Date.now();
     }
     
+    // Put the taxi back in one piece with a full tank, parked at the given position (see GameWorld.getSpawnPoint)
+    respawnAt(spawnPoint, fuel) {
+        this.x = spawnPoint.x;
+        this.y = spawnPoint.y;
+        this.vx = 0;
+        this.vy = 0;
+        this.onGround = true;
+        this.platformId = spawnPoint.platformId || 0;
+        this.landedOn = 0; // Parked, but not by landing
+        this.crashed = false;
+        this.respawnTimer = 0;
+        this.fuel = fuel;
+        this.lastUpdateTime = Date.now();
+    }
+    
     // Serialize AI player data for network transmission
     serialize() {
         return {
             id: this.id,
+            netId: this.netId,
             x: this.x,
             y: this.y,
             vx: this.vx,
@@ -45,7 +71,12 @@ class AIPlayer {
             hoverMode: this.hoverMode,
             landingGear: this.landingGear,
             facingRight: this.facingRight,
+            onGround: this.onGround,
+            crashed: this.crashed,
+            cash: this.cash,
+            fuel: this.fuel,
             type: this.type,
+            difficulty: this.difficulty,
             health: this.health
         };
     }
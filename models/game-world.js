@@ -1,5 +1,7 @@
 // Game World Model - Represents the game world/level state
 
+const LevelCollision = require('../shared/level-collision-shared');
+
 class GameWorld {
     constructor() {
         this.width = 0;
@@ -11,7 +13,19 @@ class GameWorld {
             bottom: 0
         };
         this.gravity = 9.81; // Default gravity
+        this.physics = null; // Shared flight model configuration
         this.time = 0; // Game time
+        
+        // Level geometry (from a TMX map, see server/tmx-loader-server.js)
+        this.level = null; // Full parsed level (sent to clients on join)
+        this.tileWidth = 0;
+        this.tileHeight = 0;
+        this.tilesets = [];
+        this.tileLayers = [];
+        this.imageLayers = [];
+        this.objectGroups = [];
+        this.collisionMap = null; // Solid tiles and landing platforms (see shared/level-collision-shared.js)
+        this.nextSpawnIndex = 0; // Spawn platforms are handed out in turn
     }
     
     // Initialize world
@@ -26,6 +40,71 @@ class GameWorld {
         };
     }
     
+    // Initialize world from parsed level data (world size = tile grid size)
+    initializeFromLevel(level) {
+        this.initialize(level.columns * level.tileWidth, level.rows * level.tileHeight);
+        this.level = level;
+        this.tileWidth = level.tileWidth;
+        this.tileHeight = level.tileHeight;
+        this.tilesets = level.tilesets;
+        this.tileLayers = level.tileLayers;
+        this.imageLayers = level.imageLayers;
+        this.objectGroups = level.objectGroups;
+        this.collisionMap = LevelCollision.createCollisionMap(level);
+    }
+    
+    // Find an object group by name (e.g. "Platforms")
+    getObjectGroup(name) {
+        return this.objectGroups.find(group => group.name === name) || null;
+    }
+    
+    // Find a named object in any object group
+    getObject(name) {
+        for (const group of this.objectGroups) {
+            const object = group.objects.find(candidate => candidate.name === name);
+            if (object) return object;
+        }
+        return null;
+    }
+    
+    // Where a taxi (taxiHeight pixels tall) spawns: parked on a landing platform, cycling
+    // through the level's platforms by index; the middle of the world if there are none
+    getSpawnPoint(index, taxiHeight) {
+        const platforms = this.collisionMap ? this.collisionMap.platforms : [];
+        if (platforms.length === 0) {
+            return { x: this.width * 0.5, y: this.height * 0.5, platformId: 0 };
+        }
+        
+        const platform = platforms[index % platforms.length];
+        return {
+            x: platform.x + platform.width / 2,
+            y: platform.y - taxiHeight,
+            platformId: platform.id
+        };
+    }
+    
+    // Spawn point on the next platform in turn (spreads taxis over the level)
+    nextSpawnPoint(taxiHeight) {
+        return this.getSpawnPoint(this.nextSpawnIndex++, taxiHeight);
+    }
+    
+    // Tile gid at a grid cell of a tile layer (0 = empty or outside the layer)
+    getTileGid(layer, column, row) {
+        if (column < 0 || row < 0 || column >= layer.width || row >= layer.height) {
+            return 0;
+        }
+        return layer.data[row * layer.width + column];
+    }
+    
+    // Tileset a gid belongs to (tilesets are sorted by firstGid in TMX files)
+    getTilesetForGid(gid) {
+        let match = null;
+        this.tilesets.forEach(tileset => {
+            if (gid >= tileset.firstGid) match = tileset;
+        });
+        return match;
+    }
+    
     // Update world state
     update(deltaTime) {
         this.time += deltaTime;
@@ -58,6 +137,11 @@ class GameWorld {
             time: this.time
         };
     }
+    
+    // Serialize level geometry for clients (sent once on join)
+    serializeLevel() {
+        return this.level;
+    }
 }
 
 module.exports = GameWorld;
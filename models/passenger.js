@@ -0,0 +1,81 @@
+// Passenger Model - Represents a passenger waiting for, riding in or leaving a taxi
+
+// Passenger lifecycle (numeric so it can go into snapshots; should match game-client.js)
+const PASSENGER_STATE = {
+    WAITING: 0,   // Standing on a platform hailing taxis
+    BOARDING: 1,  // Walking to a taxi parked on the platform
+    RIDING: 2     // In a taxi on the way to the destination platform
+};
+
+class Passenger {
+    constructor(passengerId, initialData = {}) {
+        this.id = passengerId;
+        this.netId = initialData.netId || 0; // Compact numeric id used in snapshots (assigned by GameState)
+        this.x = initialData.x || 0; // Feet position (center)
+        this.y = initialData.y || 0;
+        this.state = PASSENGER_STATE.WAITING;
+        this.platformId = initialData.platformId || 0; // Platform the passenger is standing on
+        this.destinationPlatformId = 0; // Chosen when boarding
+        this.taxiId = null; // Taxi boarding or carrying this passenger
+        this.taxiNetId = 0;
+        this.fare = 0; // Base fare for the trip (set when boarding)
+        this.rideTime = 0; // Seconds since boarding
+        this.roughLandings = 0; // Hard touchdowns during the ride
+        this.tip = 0; // Tip earned so far (see updateTip)
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Start walking to a taxi parked on our platform
+    startBoarding(taxi) {
+        this.state = PASSENGER_STATE.BOARDING;
+        this.taxiId = taxi.id;
+        this.taxiNetId = taxi.netId;
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Taxi left before we got in - wait for the next one
+    stopBoarding() {
+        this.state = PASSENGER_STATE.WAITING;
+        this.taxiId = null;
+        this.taxiNetId = 0;
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Get in the taxi we walked to and name a destination
+    board(destinationPlatformId, fare) {
+        this.state = PASSENGER_STATE.RIDING;
+        this.destinationPlatformId = destinationPlatformId;
+        this.fare = fare;
+        this.rideTime = 0;
+        this.roughLandings = 0;
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Recalculate the tip: shrinks with time taken and rough landings, never below zero
+    updateTip(config) {
+        const tip = config.maxTip
+            - config.tipDecayPerSecond * this.rideTime
+            - config.roughLandingPenalty * this.roughLandings;
+        this.tip = Math.max(0, Math.round(tip));
+        return this.tip;
+    }
+    
+    // Serialize passenger data for network transmission
+    serialize() {
+        return {
+            id: this.id,
+            netId: this.netId,
+            x: this.x,
+            y: this.y,
+            state: this.state,
+            platformId: this.platformId,
+            destinationPlatformId: this.destinationPlatformId,
+            taxiNetId: this.taxiNetId,
+            tip: this.tip
+        };
+    }
+}
+
+Passenger.STATE = PASSENGER_STATE;
+
+module.exports = Passenger;
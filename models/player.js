@@ -3,6 +3,7 @@
 class Player {
     constructor(playerId, initialData = {}) {
         this.id = playerId;
+        this.netId = initialData.netId || 0; // Compact numeric id used in snapshots (assigned by GameState)
         this.x = initialData.x || 0;
         this.y = initialData.y || 0;
         this.vx = initialData.vx || 0; // velocity x
@@ -10,7 +11,24 @@ class Player {
         this.hoverMode = initialData.hoverMode || false;
         this.landingGear = initialData.landingGear || false;
         this.facingRight = initialData.facingRight || false;
-        this.connected = true;
+        this.onGround = initialData.onGround || false;
+        this.crashed = false; // Wrecked - frozen until respawned
+        this.platformId = 0; // Platform the taxi is resting on (0 = none or the ground)
+        this.landedOn = 0; // Platform the taxi landed on and hasn't left since (0 = none - e.g. just spawned)
+        this.respawnTimer = 0; // Seconds until a crashed taxi respawns
+        this.cash = initialData.cash || 0; // Fares and tips earned
+        this.fuel = initialData.fuel || 0; // Fuel units in the tank (filled on respawn)
+        this.lives = initialData.lives || 0; // Taxis left (server-owned; a credit buys a new set)
+        this.credits = initialData.credits || 0; // Coins inserted and not yet spent on a continue (server-owned)
+        this.gameOver = false; // Lost the last taxi - waiting for a continue
+        this.continueTimer = 0; // Seconds left to continue after game over
+        this.health = initialData.health || 100;
+        this.input = { w: false, a: false, s: false, d: false }; // Thrusters currently firing
+        this.inputQueue = []; // Pending input frames from the client (oldest first)
+        this.lastReceivedInputSeq = 0; // Highest input sequence number queued
+        this.lastProcessedInputSeq = 0; // Sequence number of the last input frame applied
+        this.starvedSteps = 0; // Consecutive steps without a fresh input frame
+        this.connected = true; // False while a dropped player's taxi waits for them to resume
         this.lastUpdateTime = Date.now();
     }
     
@@ -31,17 +49,118 @@ class Player {
         this.lastUpdateTime = Date.now();
     }
     
+    // Queue an input frame from the client
+    // Returns false for duplicate or out-of-order frames
+    queueInput(input, maxQueuedInputs = 30) {
+        if (input.sequence <= this.lastReceivedInputSeq) {
+            return false;
+        }
+        this.lastReceivedInputSeq = input.sequence;
+        this.inputQueue.push(input);
+        
+        // Drop the oldest frames if the client runs ahead of the simulation
+        while (this.inputQueue.length > maxQueuedInputs) {
+            this.inputQueue.shift();
+        }
+        return true;
+    }
+    
+    // Apply the next queued input frame for one simulation step
+    // When the queue runs dry the last input is repeated briefly (to ride out jitter),
+    // then the thrusters are released
+    consumeInput(maxRepeatedSteps = 6) {
+        const input = this.inputQueue.shift();
+        if (!input) {
+            this.starvedSteps++;
+            if (this.starvedSteps > maxRepeatedSteps) {
+                this.input = { w: false, a: false, s: false, d: false };
+            }
+            return;
+        }
+        
+        this.starvedSteps = 0;
+        this.input = { w: input.w, a: input.a, s: input.s, d: input.d };
+        this.hoverMode = input.hover;
+        this.landingGear = input.landingGear;
+        this.lastProcessedInputSeq = input.sequence;
+    }
+    
+    // Connection dropped - release the thrusters and wait for the player to resume
+    disconnect() {
+        this.connected = false;
+        this.inputQueue = [];
+        this.input = { w: false, a: false, s: false, d: false };
+    }
+    
+    // Resumed on a new connection - the client numbers its input frames from scratch
+    // (a reloaded page starts again at 1), so forget the old sequence numbers
+    reconnect() {
+        this.connected = true;
+        this.inputQueue = [];
+        this.lastReceivedInputSeq = 0;
+        this.lastProcessedInputSeq = 0;
+        this.starvedSteps = 0;
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Put the taxi back in one piece with a full tank, parked at the given position (see GameWorld.getSpawnPoint)
+    respawnAt(spawnPoint, fuel) {
+        this.x = spawnPoint.x;
+        this.y = spawnPoint.y;
+        this.vx = 0;
+        this.vy = 0;
+        this.onGround = true;
+        this.platformId = spawnPoint.platformId || 0;
+        this.landedOn = 0; // Parked, but not by landing
+        this.crashed = false;
+        this.respawnTimer = 0;
+        this.fuel = fuel;
+        this.lastUpdateTime = Date.now();
+    }
+    
+    // Lose a taxi in a crash; returns true if it was the last one (game over)
+    loseLife(continueSeconds) {
+        this.lives = Math.max(0, this.lives - 1);
+        if (this.lives > 0) return false;
+        
+        this.gameOver = true;
+        this.continueTimer = continueSeconds;
+        return true;
+    }
+    
+    // Add credits for inserted coins, up to maxCredits
+    insertCoins(coins, maxCredits) {
+        this.credits = Math.min(maxCredits, this.credits + coins);
+    }
+    
+    // Spend a credit after game over for a fresh set of taxis (the caller checks there is one)
+    continueGame(lives) {
+        this.credits -= 1;
+        this.lives = lives;
+        this.gameOver = false;
+        this.continueTimer = 0;
+        this.lastUpdateTime = Date.now();
+    }
+    
     // Serialize player data for network transmission
     serialize() {
         return {
             id: this.id,
+            netId: this.netId,
             x: this.x,
             y: this.y,
             vx: this.vx,
             vy: this.vy,
             hoverMode: this.hoverMode,
             landingGear: this.landingGear,
-            facingRight: this.facingRight
+            facingRight: this.facingRight,
+            onGround: this.onGround,
+            crashed: this.crashed,
+            cash: this.cash,
+            fuel: this.fuel,
+            lives: this.lives,
+            health: this.health,
+            connected: this.connected
         };
     }
 }
@@ -0,0 +1,133 @@
+// Camera - Scrolls the view over levels larger than the screen by following the local taxi
+// The taxi can move around a dead zone in the middle of the view without the camera moving;
+// the camera looks ahead in the direction the taxi is flying and never shows anything
+// outside the world bounds. A short shake sells crashes.
+// x and y are the world position of the view's top-left corner (see Viewport.setViewOrigin)
+
+// Default camera tuning
+const DEFAULT_CAMERA_CONFIG = {
+    deadZoneWidth: 0.25,     // Dead zone width as a fraction of the view width
+    deadZoneHeight: 0.3,     // Dead zone height as a fraction of the view height
+    lookAheadTime: 0.4,      // Look this many seconds ahead along the taxi's velocity
+    maxLookAhead: 0.25,      // Longest look-ahead as a fraction of the view size
+    lookAheadResponse: 3,    // How quickly the look-ahead follows velocity changes (per second)
+    followResponse: 8        // How quickly the camera catches up with the dead zone (per second)
+};
+
+class Camera {
+    constructor(config = {}) {
+        this.config = Object.assign({}, DEFAULT_CAMERA_CONFIG, config);
+        this.x = 0;
+        this.y = 0;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.bounds = null; // { left, right, top, bottom } of the world
+
+        // Smoothed look-ahead offset (world units)
+        this.lookAheadX = 0;
+        this.lookAheadY = 0;
+
+        // Shake: current offset and what is left of it
+        this.shakeMagnitude = 0;
+        this.shakeDuration = 0;
+        this.shakeTimeLeft = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
+    }
+
+    // Size of the view in world units and the world it moves in
+    setView(viewWidth, viewHeight, bounds) {
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.bounds = bounds;
+        this._clamp();
+    }
+
+    // Centre the view on a target straight away (first frame, respawns)
+    snapTo(target) {
+        this.lookAheadX = 0;
+        this.lookAheadY = 0;
+        this.x = target.x - this.viewWidth / 2;
+        this.y = target.y - this.viewHeight / 2;
+        this._clamp();
+    }
+
+    // Move towards the target: { x, y, vx, vy } in world units (centre of what to follow)
+    follow(target, deltaSeconds) {
+        const config = this.config;
+
+        // Ease the look-ahead towards where the target is heading
+        const maxAheadX = this.viewWidth * config.maxLookAhead;
+        const maxAheadY = this.viewHeight * config.maxLookAhead;
+        const aheadX = Math.max(-maxAheadX, Math.min(maxAheadX, (target.vx || 0) * config.lookAheadTime));
+        const aheadY = Math.max(-maxAheadY, Math.min(maxAheadY, (target.vy || 0) * config.lookAheadTime));
+        const aheadBlend = 1 - Math.exp(-config.lookAheadResponse * deltaSeconds);
+        this.lookAheadX += (aheadX - this.lookAheadX) * aheadBlend;
+        this.lookAheadY += (aheadY - this.lookAheadY) * aheadBlend;
+
+        // Only move when the focus point leaves the dead zone, just far enough to bring it back to the edge
+        const focusX = target.x + this.lookAheadX;
+        const focusY = target.y + this.lookAheadY;
+        const goalX = Camera._followAxis(this.x, focusX, this.viewWidth, this.viewWidth * config.deadZoneWidth / 2);
+        const goalY = Camera._followAxis(this.y, focusY, this.viewHeight, this.viewHeight * config.deadZoneHeight / 2);
+        const followBlend = 1 - Math.exp(-config.followResponse * deltaSeconds);
+        this.x += (goalX - this.x) * followBlend;
+        this.y += (goalY - this.y) * followBlend;
+        this._clamp();
+
+        this._updateShake(deltaSeconds);
+    }
+
+    // Start a shake that fades out over duration seconds (magnitude in world units)
+    shake(magnitude, duration) {
+        this.shakeMagnitude = Math.max(magnitude, this.shakeTimeLeft > 0 ? this.shakeMagnitude : 0);
+        this.shakeDuration = duration;
+        this.shakeTimeLeft = duration;
+    }
+
+    // Top-left of what to draw this frame (camera position plus shake)
+    getViewOrigin() {
+        return { x: this.x + this.shakeX, y: this.y + this.shakeY };
+    }
+
+    // Camera position on one axis that keeps the focus inside the dead zone
+    static _followAxis(position, focus, viewSize, halfDeadZone) {
+        const centre = position + viewSize / 2;
+        if (focus < centre - halfDeadZone) return focus + halfDeadZone - viewSize / 2;
+        if (focus > centre + halfDeadZone) return focus - halfDeadZone - viewSize / 2;
+        return position;
+    }
+
+    // Keep the view inside the world (centred on an axis where the world is smaller than the view)
+    _clamp() {
+        if (!this.bounds) return;
+        const worldWidth = this.bounds.right - this.bounds.left;
+        const worldHeight = this.bounds.bottom - this.bounds.top;
+
+        this.x = worldWidth <= this.viewWidth
+            ? this.bounds.left - (this.viewWidth - worldWidth) / 2
+            : Math.max(this.bounds.left, Math.min(this.bounds.right - this.viewWidth, this.x));
+        this.y = worldHeight <= this.viewHeight
+            ? this.bounds.top - (this.viewHeight - worldHeight) / 2
+            : Math.max(this.bounds.top, Math.min(this.bounds.bottom - this.viewHeight, this.y));
+    }
+
+    _updateShake(deltaSeconds) {
+        if (this.shakeTimeLeft <= 0) {
+            this.shakeX = 0;
+            this.shakeY = 0;
+            return;
+        }
+        this.shakeTimeLeft = Math.max(0, this.shakeTimeLeft - deltaSeconds);
+        const strength = this.shakeMagnitude * (this.shakeTimeLeft / this.shakeDuration);
+        this.shakeX = (Math.random() * 2 - 1) * strength;
+        this.shakeY = (Math.random() * 2 - 1) * strength;
+    }
+}
+
+Camera.DEFAULT_CONFIG = DEFAULT_CAMERA_CONFIG;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Camera;
+}
@@ -5,19 +5,15 @@ class GameEngine {
         this.targetFPS = config.targetFPS || 60;        // Frames per second (rendering)
         this.targetUPS = config.targetUPS || 60;        // Updates per second (logic)
         this.maxFrameSkip = config.maxFrameSkip || 5;    // Maximum updates per frame
+        this.clock = config.clock || (time => time);     // Maps performance.now() times onto the game clock
         
-        // Physics configuration
-        this.config = {
-            gravity: config.gravity || 9.81,           // Gravity in m/s² (Earth: 9.81)
-            pixelsPerMeter: config.pixelsPerMeter || 100, // Scale: pixels per meter
+        // Physics configuration (flight model defaults live in shared FlightPhysics)
+        this.config = Object.assign(FlightPhysics.createConfig(config), {
             taxiStartX: config.taxiStartX || 0.5,      // Starting X position (0-1)
             taxiStartY: config.taxiStartY || 0.2,      // Starting Y position (0-1)
-            thrusterForce: config.thrusterForce || 1500,  // Thruster force in pixels/s² (strong enough to overcome gravity)
-            regularFlightThrust: config.regularFlightThrust || 500,  // Constant upward thrust in regular flight mode (slows fall, weaker than W thrust)
-            hoverThrust: config.hoverThrust || null,     // Hover thrust in pixels/s² (null = auto-calculate to match gravity)
-            hoverDamping: config.hoverDamping || 800,     // Hover damping force in pixels/s² (slows vertical velocity to zero)
-            aiBotCount: config.aiBotCount || 2            // Number of AI bots to spawn
-        };
+            interpolationDelay: config.interpolationDelay || 100, // Remote entities render this far in the past (ms)
+            maxExtrapolation: config.maxExtrapolation || 100       // Longest extrapolation when snapshots are late (ms)
+        });
         
         // Timing
         this.frameTime = 1000 / this.targetFPS;          // Time per frame in ms
@@ -25,6 +21,8 @@ class GameEngine {
         this.lastFrameTime = 0;
         this.lastUpdateTime = 0;
         this.accumulator = 0;                             // Accumulated time for updates
+        this.tick = 0;                                    // Update cycles since start
+        this.simulationTime = 0;                          // Time (ms, game clock) the latest update represents
         
         // State
         this.isRunning = false;
@@ -58,6 +56,8 @@ class GameEngine {
         this.lastFrameTime = performance.now();
         this.lastUpdateTime = this.lastFrameTime;
         this.accumulator = 0;
+        this.tick = 0;
+        this.simulationTime = this.clock(this.lastFrameTime);
         this.resetStats();
         
         // Initialize game
@@ -84,6 +84,15 @@ class GameEngine {
         }
     }
     
+    // Adopt the server's flight model (WELCOME) so local prediction steps exactly like the server
+    // The update rate follows the physics step; remote taxis are drawn two snapshots in the past
+    configure(physics, tickRate) {
+        Object.assign(this.config, FlightPhysics.createConfig(physics));
+        this.targetUPS = Math.round(1 / this.config.fixedStep);
+        this.updateTime = 1000 / this.targetUPS;
+        this.config.interpolationDelay = 2 * 1000 / tickRate;
+    }
+    
     // Pause the game loop
     pause() {
         if (!this.isRunning || this.isPaused) return;
@@ -99,6 +108,7 @@ class GameEngine {
         this.isPaused = false;
         this.lastFrameTime = performance.now();
         this.lastUpdateTime = this.lastFrameTime;
+        this.simulationTime = this.clock(this.lastFrameTime) - this.accumulator;
         if (this.onResume) {
             this.onResume();
         }
@@ -129,6 +139,7 @@ class GameEngine {
                 this.onUpdate(this.updateTime / 1000); // Pass delta in seconds
             }
             this.accumulator -= this.updateTime;
+            this.tick++;
             this.stats.updateCount++;
             updateCount++;
         }
@@ -138,6 +149,10 @@ class GameEngine {
             this.accumulator = this.updateTime * this.maxFrameSkip;
         }
         
+        // Whatever is left in the accumulator has not been simulated yet (skipped time is dropped)
+        // Measured on the game clock every frame so clock corrections take effect straight away
+        this.simulationTime = this.clock(currentTime) - this.accumulator;
+        
         // Render (interpolate if needed for smooth rendering)
         if (this.onRender) {
             const alpha = this.accumulator / this.updateTime; // Interpolation factor
@@ -146,6 +161,12 @@ class GameEngine {
         this.stats.frameCount++;
     }
     
+    // Time (ms, game clock) a render with the given alpha represents
+    // The latest update plus the fraction of the next one that has already elapsed
+    getRenderTime(alpha) {
+        return this.simulationTime + alpha * this.updateTime;
+    }
+    
     // Update performance stats
     updateStats(deltaTime) {
         const now = performance.now();
@@ -183,6 +204,35 @@ class GameEngine {
 // Game instance
 let gameEngine = null;
 
+// Interpolation buffer for remote taxis (other players and AI)
+let remoteInterpolator = null;
+
+// Canvas renderer for the level and taxis
+let gameRenderer = null;
+
+// World-to-screen transform (scales the world to fit the window, see js/viewport-client.js)
+let viewport = null;
+
+// World size until the server says otherwise (should match GAME_WORLD_CONFIG)
+const DEFAULT_WORLD_SIZE = { width: 1680, height: 1050 };
+
+// Camera following the local taxi over levels larger than the view (see js/camera-client.js)
+let camera = null;
+
+// Watching a live room without a taxi (see js/spectator-client.js)
+let spectator = null;
+
+// Watching a recorded game, with its playback bar (see js/replay-viewer-client.js)
+let replayViewer = null;
+
+// Most world units shown from top to bottom - taller levels scroll; the view is as wide as
+// the window's shape allows (wider levels scroll, narrower ones are letterboxed)
+const CAMERA_VIEW_HEIGHT = 768;
+
+// Camera shake when our taxi crashes
+const CRASH_SHAKE_MAGNITUDE = 10; // World units
+const CRASH_SHAKE_DURATION = 0.5; // Seconds
+
 // Taxi physics state
 let taxi = {
     x: 0,           // X position in pixels
@@ -192,7 +242,10 @@ let taxi = {
     onGround: false, // Whether taxi is on the ground
     hoverMode: false, // Whether taxi is in hover mode
     facingRight: false, // Whether taxi is facing right (sprite faces left by default)
-    landingGear: false // Whether landing gear is deployed
+    landingGear: false, // Whether landing gear is deployed
+    crashed: false, // Whether taxi is wrecked (frozen until the server respawns it)
+    fuel: 0, // Fuel units in the tank (thrusters and hover burn it)
+    platformId: 0 // Platform the taxi is resting on (0 = none or the ground)
 };
 
 // Input state - track which keys are currently pressed
@@ -203,6 +256,32 @@ const keys = {
     d: false
 };
 
+// Toggle state - flipped by H (hover) and space (landing gear), sent with every input frame
+// Kept apart from the taxi so server reconciliation can't undo a toggle that hasn't been sent yet
+const toggles = {
+    hoverMode: false,
+    landingGear: false
+};
+
+// Pointer (mouse or touch) held on the game screen, in world units - the taxi thrusts towards it
+const pointer = {
+    active: false,
+    x: 0,
+    y: 0
+};
+const POINTER_DEADZONE = 24; // World units around the taxi where the pointer fires no thruster
+
+// Sequence number of the last input frame sent to the server
+let inputSequence = 0;
+
+// Client-side prediction: inputs are applied locally right away and kept until the
+// server confirms it has processed them, so they can be replayed on top of server state
+const pendingInputs = [];                       // Input frames sent but not yet processed by the server
+const MAX_PENDING_INPUTS = 180;                 // Keep at most 3 seconds of unconfirmed input
+const predictionCorrection = { x: 0, y: 0 };    // Render offset that smooths out reconciliation corrections
+const PREDICTION_SNAP_DISTANCE = 150;           // Corrections larger than this (pixels) snap instead of smoothing
+const PREDICTION_CORRECTION_DECAY = 0.85;       // Fraction of the correction offset kept each update
+
 // Audio system for pause/resume sounds
 let gameAudioContext = null;
 let pauseSoundBuffer = null;
@@ -337,116 +416,50 @@ function initGame() {
     const gameScreen = document.getElementById('game-screen');
     if (!gameScreen) return;
     
-    // Create game engine with configurable FPS/UPS and physics
+    // Create game engine with configurable FPS/UPS
+    // The flight model (and the update rate it steps at) comes from the server's WELCOME message;
+    // FlightPhysics defaults stand in until then
     gameEngine = new GameEngine({
         targetFPS: 60,   // 60 frames per second for rendering
-        targetUPS: 60,   // 60 updates per second for game logic
+        targetUPS: 60,   // 60 updates per second for game logic (until WELCOME sets the server's step)
         maxFrameSkip: 5, // Max 5 updates per frame if lagging
-        
-        // Physics configuration
-        gravity: 9.81,           // Earth gravity in m/s² (can be adjusted)
-        pixelsPerMeter: 100,     // Scale: pixels per meter (for physics calculations)
+        clock: time => serverClock.toRemoteTime(time), // Simulate and render on the server's clock
         taxiStartX: 0.5,          // Starting X position (0-1, where 0.5 is center)
         taxiStartY: 0.5,          // Starting Y position (0-1, where 0.5 is center)
-        thrusterForce: 1500,      // Thruster force in pixels/s² (strong enough to overcome gravity)
-        regularFlightThrust: 500,   // Constant upward thrust in regular flight mode (slows fall, weaker than W thrust)
-        hoverThrust: null,        // Hover thrust in pixels/s² (null = auto-calculate to match gravity)
-        hoverDamping: 800,         // Hover damping force in pixels/s² (slows vertical velocity to zero)
-        aiBotCount: 2              // Number of AI bots to spawn
+        
+        // Remote entity smoothing (WELCOME resets the delay to two snapshots at the server's tick rate,
+        // and the measured network delay is added on top - see updateInterpolationDelay)
+        interpolationDelay: 100,   // Render remote taxis 100ms in the past (two snapshots)
+        maxExtrapolation: 100      // Extrapolate at most 100ms when snapshots are late
+    });
+    
+    // Buffer of server snapshots for smooth remote taxi rendering
+    remoteInterpolator = new SnapshotInterpolator({
+        interpolationDelay: gameEngine.config.interpolationDelay,
+        maxExtrapolation: gameEngine.config.maxExtrapolation
     });
     
     // Set up game callbacks
     gameEngine.onInit = () => {
         console.log('Game initialized');
-        // Initialize taxi position (x and y represent center position)
-        const screenWidth = window.innerWidth;
-        const screenHeight = window.innerHeight;
+        // Initialize taxi position in world units (x and y represent center position)
+        // The first server snapshot moves it to its spawn pad
+        const worldSize = getWorldSize();
         
         // Set taxi center position
-        taxi.x = screenWidth * gameEngine.config.taxiStartX;  // Center X (0.5 = middle)
-        taxi.y = screenHeight * gameEngine.config.taxiStartY; // Y position from top
+        taxi.x = worldSize.width * gameEngine.config.taxiStartX;  // Center X (0.5 = middle)
+        taxi.y = worldSize.height * gameEngine.config.taxiStartY; // Y position from top
         taxi.vx = 0;
         taxi.vy = 0;
         taxi.onGround = false;
         taxi.hoverMode = false;
         taxi.facingRight = false; // Start facing left (default sprite direction)
         taxi.landingGear = false; // Start with landing gear retracted
-        
-        // Sprite is already positioned by MutationObserver when screen becomes active
-        // Just ensure it's visible and update position if needed
-        const taxiSprite = document.getElementById('taxi-sprite');
-        if (taxiSprite) {
-            taxiSprite.style.visibility = 'visible';
-            // Set initial sprite based on landing gear state
-            taxiSprite.src = taxi.landingGear ? 'assets/taxi-gear.png' : 'assets/taxi.png';
-            const taxiWidth = taxiSprite.offsetWidth || 0;
-            taxiSprite.style.left = (taxi.x - taxiWidth / 2) + 'px';
-            taxiSprite.style.top = taxi.y + 'px';
-        }
-        
-        // Create and position AI bots
-        const gameScreen = document.getElementById('game-screen');
-        if (gameScreen) {
-            const screenWidth = window.innerWidth;
-            const screenHeight = window.innerHeight;
-            const aiBotCount = gameEngine.config.aiBotCount;
-            
-            // Remove existing AI bot sprites
-            const existingBots = gameScreen.querySelectorAll('[id^="ai-bot-sprite-"]');
-            existingBots.forEach(bot => bot.remove());
-            
-            // Create AI bot sprites
-            for (let i = 0; i < aiBotCount; i++) {
-                const aiBotSprite = document.createElement('img');
-                aiBotSprite.id = `ai-bot-sprite-${i}`;
-                aiBotSprite.src = 'assets/ai.png';
-                aiBotSprite.alt = `AI Bot ${i + 1}`;
-                aiBotSprite.className = 'ai-bot-sprite';
-                aiBotSprite.draggable = false; // Prevent image dragging
-                aiBotSprite.style.position = 'absolute';
-                aiBotSprite.style.zIndex = '9';
-                aiBotSprite.style.imageRendering = 'pixelated';
-                aiBotSprite.style.imageRendering = '-moz-crisp-edges';
-                aiBotSprite.style.imageRendering = 'crisp-edges';
-                aiBotSprite.style.visibility = 'visible';
-                
-                // Position: first in center, subsequent ones to the right
-                const aiBotWidth = 32; // Approximate width, will be updated after image loads
-                const aiBotHeight = 32; // Approximate height
-                const centerX = screenWidth / 2;
-                const centerY = screenHeight / 2;
-                const spacing = 50; // Space between bots
-                
-                // First bot centered, second bot 100px to the right (50px + 50px more)
-                let botX;
-                if (i === 0) {
-                    botX = centerX - aiBotWidth / 2;
-                } else {
-                    // Second bot is 100px to the right (spacing * 2)
-                    botX = centerX + spacing * 2 - aiBotWidth / 2;
-                }
-                
-                aiBotSprite.style.left = botX + 'px';
-                aiBotSprite.style.top = (centerY - aiBotHeight / 2) + 'px';
-                
-                // Update position after image loads to get actual dimensions
-                aiBotSprite.onload = function() {
-                    const actualWidth = this.offsetWidth || 32;
-                    const actualHeight = this.offsetHeight || 32;
-                    let actualBotX;
-                    if (i === 0) {
-                        actualBotX = centerX - actualWidth / 2;
-                    } else {
-                        // Second bot is 100px to the right (spacing * 2)
-                        actualBotX = centerX + spacing * 2 - actualWidth / 2;
-                    }
-                    this.style.left = actualBotX + 'px';
-                    this.style.top = (centerY - actualHeight / 2) + 'px';
-                };
-                
-                gameScreen.appendChild(aiBotSprite);
-            }
-        }
+        taxi.crashed = false;
+        taxi.platformId = 0;
+        taxi.fuel = gameEngine.config.fuelCapacity;
+        toggles.hoverMode = false;
+        toggles.landingGear = false;
     };
     
     gameEngine.onUpdate = (deltaTime) => {
@@ -466,29 +479,48 @@ function initGame() {
         // Cleanup if needed
     };
     
+    // Draw onto a canvas covering the game screen, with the camera's view scaled to fit (letterboxed)
+    viewport = new Viewport({ mode: Viewport.MODE.FIT });
+    camera = new Camera();
+    spectator = new Spectator();
+    replayViewer = new ReplayViewer(sendReplayControlMessage, watchReplay);
+    gameRenderer = new GameRenderer(document.getElementById('game-canvas'), viewport);
+    gameRenderer.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+    updateViewSize();
+    window.addEventListener('resize', () => {
+        gameRenderer.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+        updateViewSize();
+    });
+    
+    // Mouse and touch steering - screen positions are mapped into world units
+    const canvas = document.getElementById('game-canvas');
+    const updatePointer = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const position = viewport.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        pointer.x = position.x;
+        pointer.y = position.y;
+    };
+    gameScreen.addEventListener('pointerdown', (event) => {
+        if (gameOverDeadline !== null || isWatching()) return; // No taxi to steer (the replay bar takes clicks)
+        event.preventDefault();
+        gameScreen.setPointerCapture(event.pointerId);
+        pointer.active = true;
+        updatePointer(event);
+    });
+    gameScreen.addEventListener('pointermove', (event) => {
+        if (pointer.active) updatePointer(event);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        gameScreen.addEventListener(type, () => {
+            pointer.active = false;
+        });
+    });
+    
     // Watch for game screen activation
     const observer = new MutationObserver((mutations) => {
         mutations.forEach((mutation) => {
             if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
                 if (gameScreen.classList.contains('active')) {
-                    // Position taxi sprite immediately when screen becomes active (before game starts)
-                    const taxiSprite = document.getElementById('taxi-sprite');
-                    if (taxiSprite) {
-                        const screenWidth = window.innerWidth;
-                        const screenHeight = window.innerHeight;
-                        const taxiWidth = taxiSprite.offsetWidth || 0;
-                        const taxiX = screenWidth * gameEngine.config.taxiStartX;
-                        const taxiY = screenHeight * gameEngine.config.taxiStartY;
-                        
-                        // Set initial sprite (landing gear starts retracted)
-                        taxiSprite.src = 'assets/taxi.png';
-                        taxiSprite.style.visibility = 'visible';
-                        taxiSprite.style.left = (taxiX - taxiWidth / 2) + 'px';
-                        taxiSprite.style.top = taxiY + 'px';
-                    }
-                    
-                    // AI bots will be created in onInit, just ensure game screen is ready
-                    
                     // Initialize WebSocket connection when game screen becomes active
                     initWebSocket();
                     
@@ -505,21 +537,23 @@ function initGame() {
                         gameEngine.stop();
                     }
                 // Send STOP_GAME message and close WebSocket connection when leaving game screen
-                sendStopGameMessage();
+                // (only players have a taxi to take out of the game)
+                if (!isWatching()) {
+                    sendStopGameMessage();
+                }
                 // Small delay to ensure message is sent before closing
                 setTimeout(() => {
                     closeWebSocket();
                 }, 100);
-                    // Hide taxi sprite when leaving game screen
-                    const taxiSprite = document.getElementById('taxi-sprite');
-                    if (taxiSprite) {
-                        taxiSprite.style.visibility = 'hidden';
-                    }
-                    // Hide AI bot sprites when leaving game screen
-                    const aiBotSprites = gameScreen.querySelectorAll('[id^="ai-bot-sprite-"]');
-                    aiBotSprites.forEach(bot => {
-                        bot.style.visibility = 'hidden';
-                    });
+                    // Forget server state and blank the canvas (a new connection sends fresh snapshots)
+                    hideGameOver();
+                    setConnectionLost(false);
+                    serverSnapshot = null;
+                    snapshotFrames.clear();
+                    remoteInterpolator.clear();
+                    gameRenderer.clear();
+                    replayViewer.close();
+                    spectator.stop();
                 }
             }
         });
@@ -536,6 +570,33 @@ function initGame() {
         if (gameScreen && gameScreen.classList.contains('active') && gameEngine) {
             const key = event.key.toLowerCase();
             
+            // Game over - insert coins (keys 1 and 2) and spend a credit to continue (Enter)
+            // The server keeps the credits in a game; the count shown comes back in player events
+            if (gameOverDeadline !== null) {
+                if (event.key === '1' || event.key === '2') {
+                    playCoinSound();
+                    sendInsertCoinMessage(Number(event.key));
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    if (credits > 0) {
+                        sendContinueMessage();
+                    }
+                }
+                return;
+            }
+            
+            // Watching a replay - keys drive playback instead of a taxi (V still switches scaling)
+            if (replayViewer.active && key !== 'v') {
+                replayViewer.handleKey(event, getLatestTick());
+                return;
+            }
+            
+            // Spectating - F and C pick what the camera shows (WASD/arrows below pan the free camera)
+            if (spectator.active && spectator.isCameraKey(key)) {
+                spectator.handleKey(event, serverSnapshot);
+                return;
+            }
+            
             // Pause/resume
             if (key === 'p') {
                 event.preventDefault();
@@ -549,11 +610,17 @@ function initGame() {
                 }
             }
             
+            // Viewport scaling: fit the window, or whole-number pixel scaling for crisp pixels
+            if (key === 'v') {
+                event.preventDefault();
+                viewport.setMode(viewport.mode === Viewport.MODE.FIT ? Viewport.MODE.INTEGER : Viewport.MODE.FIT);
+            }
+            
             // Hover mode toggle
             if (key === 'h' || key === 'H') {
                 event.preventDefault();
                 if (gameEngine.isRunning && !gameEngine.isPaused) {
-                    taxi.hoverMode = !taxi.hoverMode;
+                    toggles.hoverMode = !toggles.hoverMode;
                 }
             }
             
@@ -561,7 +628,7 @@ function initGame() {
             if (event.key === ' ') { // Spacebar
                 event.preventDefault();
                 if (gameEngine.isRunning && !gameEngine.isPaused) {
-                    taxi.landingGear = !taxi.landingGear;
+                    toggles.landingGear = !toggles.landingGear;
                 }
             }
             
@@ -627,254 +694,673 @@ function initGame() {
 
 // Game update logic (called every update cycle)
 function updateGame(deltaTime) {
-    const thrusterForce = gameEngine.config.thrusterForce;
-    const gravityPixels = gameEngine.config.gravity * gameEngine.config.pixelsPerMeter;
-    
-    // Calculate hover thrust (auto-calculate to match gravity if not specified)
-    let hoverThrust = gameEngine.config.hoverThrust;
-    if (hoverThrust === null || hoverThrust === undefined) {
-        hoverThrust = gravityPixels; // Match gravity exactly for perfect hover
-    }
-    
-    if (taxi.hoverMode) {
-        // Hover mode: intelligent damping to slow down to hover
-        
-        // Apply damping force opposite to vertical velocity (slows down movement)
-        const hoverDamping = gameEngine.config.hoverDamping;
-        if (taxi.vy > 0) {
-            // Falling down - apply upward damping to slow the fall
-            taxi.vy -= hoverDamping * deltaTime;
-            // Clamp to zero if we've overshot
-            if (taxi.vy < 0) taxi.vy = 0;
-        } else if (taxi.vy < 0) {
-            // Moving up - apply downward damping to slow the rise
-            taxi.vy += hoverDamping * deltaTime;
-            // Clamp to zero if we've overshot
-            if (taxi.vy > 0) taxi.vy = 0;
-        }
-        
-        // Apply horizontal damping to slow down horizontal movement
-        if (taxi.vx > 0) {
-            // Moving right - apply leftward damping to slow the movement
-            taxi.vx -= hoverDamping * deltaTime;
-            // Clamp to zero if we've overshot
-            if (taxi.vx < 0) taxi.vx = 0;
-        } else if (taxi.vx < 0) {
-            // Moving left - apply rightward damping to slow the movement
-            taxi.vx += hoverDamping * deltaTime;
-            // Clamp to zero if we've overshot
-            if (taxi.vx > 0) taxi.vx = 0;
-        }
-        
-        // Once velocity is near zero, apply hover thrust to counteract gravity
-        // This maintains the hover position
-        taxi.vy -= hoverThrust * deltaTime;
-        
-        // W and S still work in hover mode for fine vertical adjustment
-        if (keys.w) {
-            // Extra thrust up (on top of hover thrust)
-            taxi.vy -= thrusterForce * deltaTime;
-        }
-        if (keys.s) {
-            // Extra thrust down (reduces hover thrust effect)
-            taxi.vy += thrusterForce * deltaTime;
-        }
-        
-        // Apply gravity
-        taxi.vy += gravityPixels * deltaTime;
-        
-        // In hover mode, left/right thrusters only affect horizontal movement
-        if (keys.a) {
-            taxi.vx -= thrusterForce * deltaTime;
-            taxi.facingRight = false; // Face left when pressing 'a'
-        }
-        if (keys.d) {
-            taxi.vx += thrusterForce * deltaTime;
-            taxi.facingRight = true; // Face right when pressing 'd'
-        }
-    } else {
-        // Regular mode: normal thruster controls with constant upward thrust to slow fall
-        
-        // Constant upward thrust in regular flight (slows the fall, more realistic)
-        const regularFlightThrust = gameEngine.config.regularFlightThrust;
-        taxi.vy -= regularFlightThrust * deltaTime;
-        
-        // Manual thruster controls
-        if (keys.w) {
-            // Extra thrust up (on top of regular flight thrust)
-            taxi.vy -= thrusterForce * deltaTime;
-        }
-        if (keys.s) {
-            // Thrust down (adds to gravity, overrides regular flight thrust)
-            taxi.vy += thrusterForce * deltaTime;
-        }
-        if (keys.a) {
-            // Thrust left
-            taxi.vx -= thrusterForce * deltaTime;
-            taxi.facingRight = false; // Face left when pressing 'a'
-        }
-        if (keys.d) {
-            // Thrust right
-            taxi.vx += thrusterForce * deltaTime;
-            taxi.facingRight = true; // Face right when pressing 'd'
+    // Spectating - nothing to fly, the camera follows a taxi or is panned by hand
+    if (spectator.active) {
+        if (spectator.freeCamera) {
+            spectator.panCamera(camera, {
+                x: (keys.d ? 1 : 0) - (keys.a ? 1 : 0),
+                y: (keys.s ? 1 : 0) - (keys.w ? 1 : 0)
+            }, deltaTime);
+        } else {
+            followDrawnTaxi(spectator.getFollowedTaxi(serverSnapshot, findDrawnTaxi), deltaTime);
         }
-        
-        // Apply gravity (convert m/s² to pixels/s²)
-        taxi.vy += gravityPixels * deltaTime;
-    }
-    
-    // Update position based on velocity (momentum is preserved)
-    taxi.x += taxi.vx * deltaTime;
-    taxi.y += taxi.vy * deltaTime;
-    
-    // Check collision with screen boundaries
-    const screenWidth = window.innerWidth;
-    const screenHeight = window.innerHeight;
-    const taxiSprite = document.getElementById('taxi-sprite');
-    const taxiWidth = taxiSprite ? taxiSprite.offsetWidth : 0;
-    const taxiHeight = taxiSprite ? taxiSprite.offsetHeight : 0;
-    
-    // Left and right boundaries
-    const leftBoundary = taxiWidth / 2;
-    const rightBoundary = screenWidth - taxiWidth / 2;
-    if (taxi.x < leftBoundary) {
-        taxi.x = leftBoundary;
-        taxi.vx = 0; // Stop horizontal velocity on collision
-    } else if (taxi.x > rightBoundary) {
-        taxi.x = rightBoundary;
-        taxi.vx = 0; // Stop horizontal velocity on collision
-    }
-    
-    // Top and bottom boundaries
-    const topBoundary = 0;
-    const bottomBoundary = screenHeight - taxiHeight;
-    if (taxi.y < topBoundary) {
-        taxi.y = topBoundary;
-        taxi.vy = 0; // Stop vertical velocity on collision
-        taxi.onGround = false; // Not on ground if hitting top
-    } else if (taxi.y >= bottomBoundary) {
-        taxi.y = bottomBoundary;
-        taxi.vy = 0;
-        taxi.onGround = true;
+        return;
+    }
+    
+    // Watching a replay - nothing to fly, the camera follows the replay's taxi
+    if (replayViewer.active) {
+        followDrawnTaxi(findDrawnTaxi(serverSnapshot ? serverSnapshot.localNetId : 0), deltaTime);
+        return;
+    }
+    
+    // Build this step's input frame and send it to the server, which runs the authoritative simulation
+    const input = createInputFrame(buildInputButtons());
+    sendPlayerInputMessage(input);
+    
+    // Predict locally right away instead of waiting for the server's snapshot
+    applyInputFrame(input, deltaTime);
+    pendingInputs.push(input);
+    if (pendingInputs.length > MAX_PENDING_INPUTS) {
+        pendingInputs.shift();
+    }
+    
+    // Ease out any correction left over from reconciliation
+    predictionCorrection.x *= PREDICTION_CORRECTION_DECAY;
+    predictionCorrection.y *= PREDICTION_CORRECTION_DECAY;
+    
+    camera.follow(getCameraTarget(), deltaTime);
+}
+
+// Run one input frame through the shared flight model (same order as the server's Player.consumeInput)
+function applyInputFrame(input, deltaTime) {
+    taxi.hoverMode = input.hover;
+    taxi.landingGear = input.landingGear;
+    
+    // Apply thrusters, hover, lift and gravity, then collide with the level (or the screen
+    // edges until the level arrives) - landings and crashes are announced by the server
+    LevelCollision.stepTaxi(taxi, input, gameEngine.config, deltaTime, getWorldBounds(), levelCollision);
+}
+
+// World size in world units: the level's tile grid, the server's world before the level
+// arrives, or the default world before the server has welcomed us
+function getWorldSize() {
+    if (currentLevel) {
+        return {
+            width: currentLevel.columns * currentLevel.tileWidth,
+            height: currentLevel.rows * currentLevel.tileHeight
+        };
+    }
+    return worldConfig ? { width: worldConfig.width, height: worldConfig.height } : DEFAULT_WORLD_SIZE;
+}
+
+// Bounds the taxi flies in (the whole world)
+function getWorldBounds() {
+    const worldSize = getWorldSize();
+    return { left: 0, right: worldSize.width, top: 0, bottom: worldSize.height };
+}
+
+// Size the camera's view for the world and window (call when either changes)
+function updateViewSize() {
+    const worldSize = getWorldSize();
+    const viewHeight = Math.min(worldSize.height, CAMERA_VIEW_HEIGHT);
+    const viewWidth = Math.min(worldSize.width, viewHeight * window.innerWidth / window.innerHeight);
+    viewport.setViewSize(viewWidth, viewHeight);
+    camera.setView(viewWidth, viewHeight, getWorldBounds());
+}
+
+// Centre of the local taxi as drawn (what the camera follows)
+function getCameraTarget() {
+    return {
+        x: taxi.x + predictionCorrection.x,
+        y: taxi.y + predictionCorrection.y + gameEngine.config.taxiHeight / 2,
+        vx: taxi.vx,
+        vy: taxi.vy
+    };
+}
+
+// Rewind the local taxi to the server's state and replay inputs it has not processed yet
+function reconcileLocalTaxi(snapshot) {
+    const serverTaxi = snapshot.players.find(player => player.netId === snapshot.localNetId);
+    if (!serverTaxi || !gameEngine) return;
+    
+    // Inputs up to lastProcessedInputSeq are already reflected in the server state
+    while (pendingInputs.length > 0 && pendingInputs[0].sequence <= snapshot.lastProcessedInputSeq) {
+        pendingInputs.shift();
+    }
+    
+    // Where we are drawing the taxi right now
+    const previousX = taxi.x + predictionCorrection.x;
+    const previousY = taxi.y + predictionCorrection.y;
+    
+    // Rewind to the authoritative state
+    taxi.x = serverTaxi.x;
+    taxi.y = serverTaxi.y;
+    taxi.vx = serverTaxi.vx;
+    taxi.vy = serverTaxi.vy;
+    taxi.hoverMode = serverTaxi.hoverMode;
+    taxi.landingGear = serverTaxi.landingGear;
+    taxi.facingRight = serverTaxi.facingRight;
+    taxi.onGround = serverTaxi.onGround;
+    taxi.crashed = serverTaxi.crashed;
+    taxi.fuel = serverTaxi.fuel;
+    
+    // Replay the inputs the server has not seen yet
+    const deltaTime = gameEngine.updateTime / 1000;
+    pendingInputs.forEach(input => applyInputFrame(input, deltaTime));
+    
+    // Small errors are smoothed over a few frames, large ones (teleports, respawns) snap
+    const errorX = previousX - taxi.x;
+    const errorY = previousY - taxi.y;
+    if (Math.hypot(errorX, errorY) > PREDICTION_SNAP_DISTANCE) {
+        predictionCorrection.x = 0;
+        predictionCorrection.y = 0;
+        camera.snapTo(getCameraTarget());
     } else {
-        taxi.onGround = false; // Not on ground if in the air
+        predictionCorrection.x = errorX;
+        predictionCorrection.y = errorY;
     }
 }
 
 // Game render logic (called every render cycle)
 function renderGame(alpha) {
-    // Update taxi sprite position
-    const taxiSprite = document.getElementById('taxi-sprite');
-    if (taxiSprite) {
-        // Update sprite image based on landing gear state
-        if (taxi.landingGear) {
-            taxiSprite.src = 'assets/taxi-gear.png';
-        } else {
-            taxiSprite.src = 'assets/taxi.png';
-        }
-        
-        // Center horizontally on the x position
-        const taxiWidth = taxiSprite.offsetWidth || 0;
-        taxiSprite.style.left = (taxi.x - taxiWidth / 2) + 'px';
-        taxiSprite.style.top = taxi.y + 'px';
-        
-        // Flip sprite horizontally when facing right
-        if (taxi.facingRight) {
-            taxiSprite.style.transform = 'scaleX(-1)';
-        } else {
-            taxiSprite.style.transform = 'scaleX(1)';
+    // Other players' taxis and AI taxis, smoothed between server snapshots
+    const remoteEntities = remoteInterpolator.sample(gameEngine.getRenderTime(alpha));
+    const localNetId = getFocusNetId();
+    
+    // Local taxi is drawn where we predict it, offset by any correction still being smoothed
+    const localTaxi = Object.assign({}, taxi, {
+        x: taxi.x + predictionCorrection.x,
+        y: taxi.y + predictionCorrection.y
+    });
+    
+    const viewOrigin = camera.getViewOrigin();
+    viewport.setViewOrigin(viewOrigin.x, viewOrigin.y);
+    
+    // Replays and spectators have no local taxi - every taxi comes from the snapshots
+    gameRenderer.render({
+        config: gameEngine.config,
+        localTaxi: isWatching() ? null : localTaxi,
+        markers: buildMarkers(remoteEntities ? remoteEntities.passengers : [], localNetId),
+        remotePlayers: remoteEntities ? remoteEntities.players.filter(player => isWatching() || player.netId !== localNetId) : [],
+        aiPlayers: remoteEntities ? remoteEntities.aiPlayers : [],
+        passengers: remoteEntities ? remoteEntities.passengers : []
+    });
+    
+    updateHud(serverSnapshot);
+    updateNetworkHud();
+    replayViewer.updateBar(getLatestTick());
+}
+
+// Off-screen markers: where our passenger wants to go, or who is waiting for a taxi
+function buildMarkers(passengers, localNetId) {
+    const riding = passengers.find(passenger =>
+        passenger.state === PASSENGER_STATE.RIDING && passenger.taxiNetId === localNetId);
+    if (riding) {
+        const destination = levelCollision ? levelCollision.platforms.find(platform =>
+            platform.id === riding.destinationPlatformId) : null;
+        return destination ? [{
+            x: destination.x + destination.width / 2,
+            y: destination.y,
+            label: getPlatformName(destination.id),
+            color: '#00ffff'
+        }] : [];
+    }
+    return passengers
+        .filter(passenger => passenger.state === PASSENGER_STATE.WAITING)
+        .map(passenger => ({ x: passenger.x, y: passenger.y, label: 'TAXI!', color: '#ffff00' }));
+}
+
+// Fuel gauge segments in the HUD
+const HUD_FUEL_SEGMENTS = 10;
+
+// Show cash, fuel and the current fare in the HUD
+// Fuel comes from the predicted taxi, everything else from the latest server snapshot
+// (when watching, all of it is the followed taxi's - AI taxis have no lives to show)
+function updateHud(snapshot) {
+    const hud = document.getElementById('game-hud');
+    if (!hud) return;
+    
+    const focusNetId = getFocusNetId();
+    const ownTaxi = snapshot ? snapshot.players.find(player => player.netId === focusNetId) : null;
+    const followedAI = snapshot && isWatching() ? snapshot.aiPlayers.find(aiPlayer => aiPlayer.netId === focusNetId) : null;
+    const shownTaxi = ownTaxi || followedAI;
+    const passenger = snapshot ? snapshot.passengers.find(candidate =>
+        candidate.state === PASSENGER_STATE.RIDING && candidate.taxiNetId === focusNetId) : null;
+    
+    const fuel = isWatching() ? (shownTaxi ? shownTaxi.fuel : 0) : taxi.fuel;
+    const fuelFraction = Math.max(0, Math.min(1, fuel / gameEngine.config.fuelCapacity));
+    const fuelSegments = Math.ceil(fuelFraction * HUD_FUEL_SEGMENTS);
+    const fuelGauge = '#'.repeat(fuelSegments) + '-'.repeat(HUD_FUEL_SEGMENTS - fuelSegments);
+    
+    let text;
+    if (spectator.active && spectator.freeCamera) {
+        text = 'FREE CAMERA';
+    } else {
+        text = followedAI ? '' : `LIVES ${ownTaxi ? ownTaxi.lives : 0}   `;
+        text += `CASH $${shownTaxi ? Math.floor(shownTaxi.cash) : 0}   FUEL [${fuelGauge}]`;
+    }
+    if (passenger) {
+        text += `   TO ${getPlatformName(passenger.destinationPlatformId)}   TIP $${passenger.tip}`;
+    }
+    if (replayViewer.active) {
+        text += '   REPLAY';
+    } else if (currentRoom) {
+        text += `   ${spectator.active ? 'SPECTATING ' : ''}ROOM ${currentRoom.code} (${currentRoom.players}/${currentRoom.maxPlayers})`;
+        if (currentRoom.spectators > 0) {
+            text += ` ${currentRoom.spectators} WATCHING`;
         }
     }
+    if (hud.textContent !== text) {
+        hud.textContent = text;
+    }
+    hud.classList.toggle('low-fuel', fuelFraction < 0.2 && !(spectator.active && spectator.freeCamera));
+}
+
+// Round trip above which the network HUD turns red (ms)
+const NETWORK_HUD_HIGH_RTT = 150;
+
+// Show round-trip time and jitter to the server in the network HUD
+function updateNetworkHud() {
+    const networkHud = document.getElementById('network-hud');
+    if (!networkHud) return;
+    
+    const stats = serverClock.getStats();
+    const text = stats.rtt === null ? 'RTT --' : `RTT ${Math.round(stats.rtt)}MS  JITTER ${Math.round(stats.jitter)}MS`;
+    if (networkHud.textContent !== text) {
+        networkHud.textContent = text;
+    }
+    networkHud.classList.toggle('high-latency', stats.rtt !== null && stats.rtt > NETWORK_HUD_HIGH_RTT);
+}
+
+// Display name of a platform (TMX object name)
+function getPlatformName(platformId) {
+    const platform = levelCollision ? levelCollision.platforms.find(candidate => candidate.id === platformId) : null;
+    return platform ? platform.name.toUpperCase() : `PAD ${platformId}`;
+}
+
+// Is the game screen showing a game we don't play in (a replay, or spectating)?
+// There is no local taxi then, and start-screen-client.js keeps any session to resume
+function isWatching() {
+    return replayViewer.active || spectator.active;
+}
+
+// Net id of the taxi the view is about: our own, the one a replay or spectator follows (0 for none)
+function getFocusNetId() {
+    if (spectator.active) return spectator.getFocusNetId();
+    return serverSnapshot ? serverSnapshot.localNetId : 0;
+}
+
+// A taxi from the latest snapshots as drawn (interpolated like every other taxi), null if not there
+function findDrawnTaxi(netId) {
+    const entities = remoteInterpolator.sample(gameEngine.getRenderTime(0));
+    if (!entities || !netId) return null;
+    return entities.players.concat(entities.aiPlayers).find(entity => entity.netId === netId) || null;
+}
+
+// Point the camera at a drawn taxi's centre (nothing to follow if it is null)
+function followDrawnTaxi(drawnTaxi, deltaTime) {
+    if (!drawnTaxi) return;
+    camera.follow({
+        x: drawnTaxi.x,
+        y: drawnTaxi.y + gameEngine.config.taxiHeight / 2,
+        vx: drawnTaxi.vx,
+        vy: drawnTaxi.vy
+    }, deltaTime);
+}
+
+// Open the game screen as a spectator (S on the start screen)
+// Watches the room in the page URL (?room=CODE), or the busiest room without one
+function startSpectating() {
+    spectator.start();
+    document.getElementById('start-screen').classList.add('hidden');
+    document.getElementById('game-screen').classList.add('active'); // Connects (see initGame)
+}
+
+// Open the game screen as a replay viewer on the newest recorded game (R on the start screen)
+async function startReplayViewer() {
+    const replays = await ReplayViewer.list();
+    if (replays.length === 0) {
+        creditMessage.textContent = 'NO REPLAYS RECORDED YET';
+        return;
+    }
+    
+    replayViewer.open(replays);
+    document.getElementById('start-screen').classList.add('hidden');
+    document.getElementById('game-screen').classList.add('active'); // Connects (see initGame)
+}
+
+// Switch to another replay picked on the replay bar (the server plays one replay per connection)
+function watchReplay(name) {
+    replayViewer.watch(name);
+    serverSnapshot = null;
+    snapshotFrames.clear();
+    remoteInterpolator.clear();
+    initWebSocket();
+}
+
+// Handle REPLAY_STATUS (see ReplayViewer.handleStatus)
+function handleReplayStatus(status) {
+    // Snapshots after a seek jump - drop the ones buffered from before it
+    if (status.event === 'seek') {
+        snapshotFrames.clear();
+        remoteInterpolator.clear();
+    }
+    replayViewer.handleStatus(status);
+}
+
+// Tick of the latest snapshot (null before the first)
+function getLatestTick() {
+    return serverSnapshot ? serverSnapshot.tick : null;
 }
 
 // WebSocket connection for game communication
 let gameWebSocket = null;
 let clientPingInterval = null;
 
-// GameEnvelope structure:
-// Header (4 bytes): message type (Uint16) + payload length (Uint16)
-// Payload: variable length data
-const MESSAGE_TYPE = {
-    PING: 1,
-    PONG: 2,
-    GAME_STATE: 3,
-    START_GAME: 4,
-    STOP_GAME: 5
+// Silence from the server (ms) after which the connection counts as lost - snapshots arrive at the
+// tick rate and PINGs every second, so a quiet server means a dead link even if the socket looks open
+const SERVER_TIMEOUT_MS = 5000;
+let lastServerMessageTime = 0; // performance.now() of the latest message from the server
+let connectionLost = false;    // Showing the connection lost state until the server is heard from again
+
+// Round-trip time, jitter and server clock offset measured with PING/PONG (see shared/clock-sync-shared.js)
+// Prediction and interpolation run on the server clock it provides
+const serverClock = new ClockSync();
+
+// Message types, close codes and input bits shared with the server
+// Messages travel in GameEnvelope frames built and checked by GameProtocol (shared/game-protocol-shared.js)
+const { MESSAGE_TYPE, CLOSE_CODE, INPUT_BUTTON, PROTOCOL_VERSION } = GameProtocol;
+
+// World the server simulates ({ width, height, gravity } from WELCOME)
+let worldConfig = null;
+
+// Session token from the server's SESSION message, kept for the life of the browser tab
+// Reconnecting with it (/ws?session=TOKEN) resumes the same taxi, even after a page reload
+const SESSION_STORAGE_KEY = 'flyingTaxiSession';
+
+// Did the current connection offer a stored session to resume?
+let offeredSession = false;
+
+// Room we are playing in ({ code, players, maxPlayers } from ROOM_INFO)
+// The join code comes from the page URL (?room=CODE); without one the server opens a new room
+let currentRoom = null;
+
+// Level geometry received from the server on join (parsed TMX: tilesets, layers, objects)
+let currentLevel = null;
+
+// Solid tiles and landing platforms of currentLevel (see shared/level-collision-shared.js)
+let levelCollision = null;
+
+// How long landing/crash announcements stay on screen (ms)
+const GAME_MESSAGE_DURATION = 2000;
+let gameMessageTimeout = null;
+
+// Game over continue countdown (the server owns the real timer and ends the game)
+let gameOverDeadline = null; // performance.now() when the countdown runs out, null when not game over
+let gameOverInterval = null;
+
+// GAME_STATE payloads are decoded with SnapshotCodec (shared/snapshot-codec-shared.js)
+const SNAPSHOT_HISTORY_TICKS = 64;  // Decoded frames kept as possible delta baselines
+
+// Passenger lifecycle (should match models/passenger.js)
+const PASSENGER_STATE = {
+    WAITING: 0,
+    BOARDING: 1,
+    RIDING: 2
 };
 
+// Latest authoritative state received from the server
+let serverSnapshot = null;
+
+// Decoded frames by tick (tick -> Map(key -> { kind, netId, values })), used as delta baselines
+const snapshotFrames = new Map();
+
+// Decode a GAME_STATE payload against the baseline frame it names
+// Returns null if the baseline is unknown (the server falls back to a full snapshot); throws
+// GameProtocol.ProtocolError for truncated or malformed payloads
+function decodeGameStateSnapshot(view) {
+    const frame = SnapshotCodec.decode(view, baseTick => snapshotFrames.get(baseTick));
+    if (!frame) return null;
+    
+    // Keep this frame as a baseline and forget ones the server will no longer use
+    snapshotFrames.set(frame.tick, frame.entities);
+    snapshotFrames.forEach((entities, frameTick) => {
+        if (frame.tick - frameTick > SNAPSHOT_HISTORY_TICKS) {
+            snapshotFrames.delete(frameTick);
+        }
+    });
+    
+    const snapshot = SnapshotCodec.buildSnapshot(frame.tick, frame.entities);
+    snapshot.localNetId = frame.localNetId;
+    snapshot.lastProcessedInputSeq = frame.lastProcessedInputSeq;
+    snapshot.serverTime = frame.serverTime;
+    return snapshot;
+}
+
+// React to an event about our own taxi
+function handlePlayerEvent(event) {
+    console.log('Client received player event:', event);
+    
+    if (event.type === 'landed') {
+        showGameMessage(event.platformId ? `LANDED ON ${getPlatformName(event.platformId)}` : 'LANDED');
+    } else if (event.type === 'passenger-boarded') {
+        showGameMessage(`${getPlatformName(event.destinationPlatformId)} PLEASE!`);
+    } else if (event.type === 'passenger-delivered') {
+        showGameMessage(`FARE $${event.fare} + TIP $${event.tip}`);
+    } else if (event.type === 'passenger-lost') {
+        showGameMessage('PASSENGER LOST', true);
+    } else if (event.type === 'out-of-fuel') {
+        showGameMessage('OUT OF FUEL!', true);
+    } else if (event.type === 'refuelled') {
+        showGameMessage(`REFUELLED ${event.amount} UNITS FOR $${event.cost.toFixed(2)}`);
+    } else if (event.type === 'crashed') {
+        const reasons = {
+            [LevelCollision.CRASH_REASON.BUILDING]: 'CRASHED INTO A BUILDING',
+            [LevelCollision.CRASH_REASON.TOO_FAST]: 'CRASHED - LANDED TOO FAST',
+            [LevelCollision.CRASH_REASON.GEAR_UP]: 'CRASHED - LANDING GEAR UP'
+        };
+        showGameMessage(reasons[event.reason] || 'CRASHED', true);
+        camera.shake(CRASH_SHAKE_MAGNITUDE, CRASH_SHAKE_DURATION);
+    } else if (event.type === 'game-over') {
+        showGameOver(event.continueSeconds);
+    } else if (event.type === 'continued') {
+        setCredits(event.credits);
+        hideGameOver();
+        showGameMessage(`${event.lives} TAXIS - GOOD LUCK!`);
+    } else if (event.type === 'credits') {
+        // Coins inserted (or a continue refused) - the server's count of our credits
+        setCredits(event.credits);
+    } else if (event.type === 'game-ended') {
+        // Countdown ran out - the server removed our taxi
+        hideGameOver();
+        returnToStartScreen();
+    }
+}
+
+// Show the GAME OVER screen with a continue countdown
+function showGameOver(continueSeconds) {
+    gameOverDeadline = performance.now() + continueSeconds * 1000;
+    document.getElementById('game-over').classList.add('active');
+    
+    clearInterval(gameOverInterval);
+    gameOverInterval = setInterval(updateGameOver, 250);
+    updateGameOver();
+}
+
+// Refresh the countdown and credit count on the GAME OVER screen
+function updateGameOver() {
+    if (gameOverDeadline === null) return;
+    
+    const secondsLeft = Math.max(0, Math.ceil((gameOverDeadline - performance.now()) / 1000));
+    document.getElementById('game-over-countdown').textContent = secondsLeft;
+    document.getElementById('game-over-credits').innerHTML = credits > 0
+        ? `${credits} CREDIT${credits > 1 ? 'S' : ''}<br>PRESS ENTER TO CONTINUE`
+        : 'INSERT COIN TO CONTINUE (PRESS KEYS 1 || 2)';
+}
+
+// Take the server's count of our credits (shown on the GAME OVER and start screens)
+function setCredits(count) {
+    credits = count;
+    updateCreditMessage();
+    updateGameOver();
+}
+
+function hideGameOver() {
+    gameOverDeadline = null;
+    clearInterval(gameOverInterval);
+    gameOverInterval = null;
+    document.getElementById('game-over').classList.remove('active');
+}
+
+// Show a short announcement over the game screen
+function showGameMessage(text, isCrash = false) {
+    const message = document.getElementById('game-message');
+    if (!message) return;
+    
+    message.textContent = text;
+    message.classList.toggle('crash', isCrash);
+    message.style.visibility = 'visible';
+    
+    clearTimeout(gameMessageTimeout);
+    gameMessageTimeout = setTimeout(() => {
+        message.style.visibility = 'hidden';
+    }, GAME_MESSAGE_DURATION);
+}
+
+// Create the next input frame (sequence-numbered) from PLAYER_INPUT button bits
+function createInputFrame(buttons) {
+    inputSequence++;
+    return {
+        sequence: inputSequence,
+        clientTick: gameEngine.tick,
+        buttons: buttons,
+        w: (buttons & INPUT_BUTTON.W) !== 0,
+        a: (buttons & INPUT_BUTTON.A) !== 0,
+        s: (buttons & INPUT_BUTTON.S) !== 0,
+        d: (buttons & INPUT_BUTTON.D) !== 0,
+        hover: (buttons & INPUT_BUTTON.HOVER) !== 0,
+        landingGear: (buttons & INPUT_BUTTON.LANDING_GEAR) !== 0
+    };
+}
+
+// Thrusters that push the taxi towards a held pointer (PLAYER_INPUT button bits)
+function buildPointerButtons() {
+    if (!pointer.active || !gameEngine) return 0;
+    
+    const dx = pointer.x - taxi.x;
+    const dy = pointer.y - (taxi.y + gameEngine.config.taxiHeight / 2);
+    let buttons = 0;
+    if (dx < -POINTER_DEADZONE) buttons |= INPUT_BUTTON.A;
+    if (dx > POINTER_DEADZONE) buttons |= INPUT_BUTTON.D;
+    if (dy < -POINTER_DEADZONE) buttons |= INPUT_BUTTON.W;
+    if (dy > POINTER_DEADZONE) buttons |= INPUT_BUTTON.S;
+    return buttons;
+}
+
+// Pack the current keyboard, pointer and toggle state into PLAYER_INPUT button bits
+function buildInputButtons() {
+    let buttons = 0;
+    if (keys.w) buttons |= INPUT_BUTTON.W;
+    if (keys.a) buttons |= INPUT_BUTTON.A;
+    if (keys.s) buttons |= INPUT_BUTTON.S;
+    if (keys.d) buttons |= INPUT_BUTTON.D;
+    buttons |= buildPointerButtons();
+    if (toggles.hoverMode) buttons |= INPUT_BUTTON.HOVER;
+    if (toggles.landingGear) buttons |= INPUT_BUTTON.LANDING_GEAR;
+    return buttons;
+}
+
 // Initialize WebSocket connection
 function initWebSocket() {
     // Close existing connection if any
     closeWebSocket();
     
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
+    const roomCode = currentRoom ? currentRoom.code : new URLSearchParams(window.location.search).get('room');
+    const sessionToken = loadSessionToken();
+    const query = new URLSearchParams();
+    if (replayViewer.active) {
+        query.set('replay', replayViewer.name); // Watching a recorded game - no room, no taxi, no session
+    } else if (spectator.active) {
+        query.set('spectate', ''); // Watching a live game - no taxi, no session
+        if (roomCode) query.set('room', roomCode);
+    } else {
+        if (roomCode) query.set('room', roomCode);
+        if (sessionToken) query.set('session', sessionToken);
+    }
+    const wsUrl = `${protocol}//${window.location.host}/ws` + (query.toString() ? `?${query}` : '');
+    offeredSession = !isWatching() && sessionToken !== null;
     
     try {
         gameWebSocket = new WebSocket(wsUrl);
+        const socket = gameWebSocket;
         
         gameWebSocket.binaryType = 'arraybuffer'; // Receive binary messages as ArrayBuffer
         
         gameWebSocket.onopen = () => {
             console.log('WebSocket connected to server');
             
-            // Send START_GAME message to initialize game server
-            sendStartGameMessage();
+            // Snapshot baselines and unconfirmed inputs belong to the previous connection
+            snapshotFrames.clear();
+            pendingInputs.length = 0;
+            remoteInterpolator.clear();
+            serverClock.reset();
+            lastServerMessageTime = performance.now();
+            
+            // Introduce ourselves - the game starts once the server's WELCOME arrives
+            sendHelloMessage();
             
-            // Send ping every 1 second
+            // Measure the connection right away, then send ping every 1 second
+            // (and check the server is still talking to us)
+            sendPingMessage();
             clientPingInterval = setInterval(() => {
-                if (gameWebSocket && gameWebSocket.readyState === WebSocket.OPEN) {
-                    const messageType = MESSAGE_TYPE.PING;
-                    const payload = new Uint8Array(0); // Empty payload for ping
-                    const payloadLength = payload.length;
-                    
-                    // Create ArrayBuffer: 2 bytes (message type) + 2 bytes (payload length) + payload
-                    const buffer = new ArrayBuffer(4 + payloadLength);
-                    const view = new DataView(buffer);
-                    
-                    // Write header
-                    view.setUint16(0, messageType, true); // little-endian
-                    view.setUint16(2, payloadLength, true); // little-endian
-                    
-                    // Write payload (none for ping)
-                    const payloadView = new Uint8Array(buffer, 4);
-                    payloadView.set(payload);
-                    
-                    gameWebSocket.send(buffer);
-                    console.log('Client sent PING');
-                } else {
+                if (!sendPingMessage()) {
                     clearInterval(clientPingInterval);
                     clientPingInterval = null;
+                    return;
                 }
+                checkServerTimeout();
             }, 1000);
         };
         
         gameWebSocket.onmessage = (event) => {
+            // Any message proves the server is alive
+            lastServerMessageTime = performance.now();
+            if (connectionLost) {
+                setConnectionLost(false);
+            }
+            
             // Handle binary message
             if (event.data instanceof ArrayBuffer) {
-                const buffer = event.data;
-                const view = new DataView(buffer);
-                
-                // Read header
-                const messageType = view.getUint16(0, true); // little-endian
-                const payloadLength = view.getUint16(2, true); // little-endian
+                // Check and unpack the GameEnvelope - truncated or malformed frames are dropped
+                let message;
+                try {
+                    message = GameProtocol.decode(event.data);
+                } catch (error) {
+                    if (!(error instanceof GameProtocol.ProtocolError)) throw error;
+                    console.warn(`Dropped malformed message from server: ${error.message}`);
+                    return;
+                }
+                const messageType = message.type;
                 
                 if (messageType === MESSAGE_TYPE.PING) {
                     console.log('Client received PING from server');
-                    
-                    // Send PONG response
-                    const pongType = MESSAGE_TYPE.PONG;
-                    const pongPayload = new Uint8Array(0);
-                    const pongBuffer = new ArrayBuffer(4 + pongPayload.length);
-                    const pongView = new DataView(pongBuffer);
-                    
-                    pongView.setUint16(0, pongType, true);
-                    pongView.setUint16(2, pongPayload.length, true);
-                    
-                    gameWebSocket.send(pongBuffer);
+                    sendMessage(MESSAGE_TYPE.PONG, ClockSync.createPong(message.body));
                     console.log('Client sent PONG');
                 } else if (messageType === MESSAGE_TYPE.PONG) {
-                    console.log('Client received PONG from server');
+                    // Answer to one of our PINGs - refines RTT and the server clock offset
+                    const sample = serverClock.handlePong(message.body);
+                    if (sample) {
+                        updateInterpolationDelay();
+                        console.log(`Client received PONG from server (rtt ${sample.rtt.toFixed(1)}ms)`);
+                    }
+                } else if (messageType === MESSAGE_TYPE.GAME_STATE) {
+                    // Authoritative state from the server (delta against a frame we acknowledged)
+                    const payload = message.body;
+                    let snapshot;
+                    try {
+                        snapshot = decodeGameStateSnapshot(new DataView(payload.buffer, payload.byteOffset, payload.byteLength));
+                    } catch (error) {
+                        if (!(error instanceof GameProtocol.ProtocolError)) throw error;
+                        console.warn(`Dropped malformed GAME_STATE from server: ${error.message}`);
+                        return;
+                    }
+                    if (snapshot) {
+                        serverSnapshot = snapshot;
+                        if (!replayViewer.active) { // Replays send full snapshots
+                            sendSnapshotAckMessage(snapshot.tick);
+                        }
+                        if (!isWatching()) { // Without a taxi of our own there is nothing to predict
+                            reconcileLocalTaxi(snapshot);
+                        }
+                        remoteInterpolator.push(snapshot, snapshot.serverTime);
+                    }
+                } else if (messageType === MESSAGE_TYPE.LEVEL_DATA) {
+                    // Level the server is simulating (parsed TMX)
+                    currentLevel = message.body;
+                    levelCollision = LevelCollision.createCollisionMap(currentLevel);
+                    gameRenderer.setLevel(currentLevel);
+                    updateViewSize();
+                    console.log(`Client received level "${currentLevel.name}": ${currentLevel.columns}x${currentLevel.rows} tiles`);
+                } else if (messageType === MESSAGE_TYPE.PLAYER_EVENT) {
+                    // Something happened to our taxi (landed, crashed, respawned, ...)
+                    handlePlayerEvent(message.body);
+                } else if (messageType === MESSAGE_TYPE.ROOM_INFO) {
+                    // Room we joined - put its join code in the URL so the page link can be shared
+                    currentRoom = message.body;
+                    const url = new URL(window.location.href);
+                    url.searchParams.set('room', currentRoom.code);
+                    window.history.replaceState(null, '', url);
+                    console.log(`Client in room ${currentRoom.code} (${currentRoom.players}/${currentRoom.maxPlayers} players, ${currentRoom.spectators} watching)`);
+                } else if (messageType === MESSAGE_TYPE.WELCOME) {
+                    // Server accepted our protocol version (playerId, tickRate, serverTime, world, physics)
+                    handleWelcome(message.body);
+                } else if (messageType === MESSAGE_TYPE.SESSION) {
+                    // Our player (playerId, token, resumed, graceSeconds)
+                    handleSession(message.body);
+                } else if (messageType === MESSAGE_TYPE.REPLAY_STATUS) {
+                    // Where the replay we are watching is (tick, endTick, playing, speed, ...)
+                    handleReplayStatus(message.body);
                 }
             }
         };
@@ -883,65 +1369,219 @@ function initWebSocket() {
             console.error('WebSocket error:', error);
         };
         
-        gameWebSocket.onclose = () => {
+        gameWebSocket.onclose = (event) => {
             console.log('WebSocket disconnected from server');
+            // Closed by us (left the game screen, or gave up on a silent server) - nothing more to do
+            if (gameWebSocket !== socket) return;
             if (clientPingInterval) {
                 clearInterval(clientPingInterval);
                 clientPingInterval = null;
             }
-            // Attempt to reconnect after 3 seconds if still in game screen
-            setTimeout(() => {
-                if (document.getElementById('game-screen') && 
-                    document.getElementById('game-screen').classList.contains('active')) {
-                    initWebSocket();
-                }
-            }, 3000);
+            // Turned away - no game was played, so the credit comes back
+            if (event.code === CLOSE_CODE.ROOM_FULL) {
+                const roomCode = new URLSearchParams(window.location.search).get('room');
+                refundCredit();
+                returnToStartScreen(`ROOM ${roomCode} IS FULL`);
+                return;
+            }
+            // The server speaks another protocol version (e.g. it was updated while this page was open)
+            if (event.code === CLOSE_CODE.PROTOCOL_MISMATCH) {
+                console.error(`Server rejected client: ${event.reason}`);
+                if (!isWatching()) refundCredit();
+                returnToStartScreen('GAME UPDATED - RELOAD THE PAGE TO PLAY');
+                return;
+            }
+            // Our taxi was resumed by another window (e.g. a duplicated tab) - leave it to that one
+            if (event.code === CLOSE_CODE.SESSION_TAKEN) {
+                returnToStartScreen('GAME RESUMED IN ANOTHER WINDOW');
+                return;
+            }
+            // The server threw us out for sending invalid input - the taxi is gone
+            if (event.code === CLOSE_CODE.INPUT_REJECTED) {
+                console.error(`Server closed connection: ${event.reason}`);
+                returnToStartScreen('DISCONNECTED - INVALID INPUT');
+                return;
+            }
+            // The replay file is missing, unreadable or was recorded by another version of the game
+            if (event.code === CLOSE_CODE.REPLAY_REJECTED) {
+                console.error(`Server rejected replay: ${event.reason}`);
+                returnToStartScreen((event.reason || 'Replay cannot be played').toUpperCase());
+                return;
+            }
+            // Spectating a room that doesn't exist, or whose last player has left
+            if (event.code === CLOSE_CODE.NO_GAME) {
+                returnToStartScreen((event.reason || 'No game to watch').toUpperCase());
+                return;
+            }
+            // Dropped - show it and attempt to reconnect
+            setConnectionLost(true);
+            scheduleReconnect();
         };
     } catch (error) {
         console.error('Failed to create WebSocket connection:', error);
     }
 }
 
+// Reconnect after 3 seconds if still in game screen (our session token resumes the same taxi)
+function scheduleReconnect() {
+    setTimeout(() => {
+        if (document.getElementById('game-screen') && 
+            document.getElementById('game-screen').classList.contains('active')) {
+            initWebSocket();
+        }
+    }, 3000);
+}
+
+// Give up on a connection the server has gone quiet on without waiting for onclose
+// (a half-open socket may not close for minutes), then reconnect
+function checkServerTimeout() {
+    const silence = performance.now() - lastServerMessageTime;
+    if (silence < SERVER_TIMEOUT_MS || !gameWebSocket) return;
+    
+    console.warn(`No message from server for ${Math.round(silence)}ms - connection lost`);
+    gameWebSocket.onmessage = null; // Anything still buffered on this connection is stale
+    closeWebSocket();
+    setConnectionLost(true);
+    scheduleReconnect();
+}
+
+// Show or hide the connection lost banner
+function setConnectionLost(lost) {
+    connectionLost = lost;
+    const banner = document.getElementById('connection-lost');
+    if (banner) {
+        banner.classList.toggle('active', lost);
+    }
+}
+
+// Handle WELCOME: simulate with the server's settings, then start the game
+function handleWelcome(welcome) {
+    worldConfig = welcome.world;
+    updateViewSize();
+    gameEngine.configure(welcome.physics, welcome.tickRate);
+    serverClock.estimateOffset(welcome.serverTime);
+    updateInterpolationDelay();
+    console.log(`Client welcomed as ${welcome.playerId} (protocol ${welcome.protocolVersion}, ${welcome.tickRate} Hz, ${worldConfig.width}x${worldConfig.height} world)`);
+    
+    // A replay starts playing by itself, and spectators are watching a game already under way
+    if (!isWatching()) {
+        sendStartGameMessage();
+    }
+}
+
+// Remote taxis are drawn two snapshots in the past on the server clock, plus the time snapshots
+// take to reach us (half the round trip) and some slack for jitter, so there is usually a
+// snapshot on either side of the render time
+function updateInterpolationDelay() {
+    const stats = serverClock.getStats();
+    const networkDelay = stats.rtt === null ? 0 : stats.rtt / 2 + 2 * stats.jitter;
+    remoteInterpolator.interpolationDelay = gameEngine.config.interpolationDelay + networkDelay;
+}
+
+// Handle the SESSION message sent on every connect
+function handleSession(session) {
+    // We asked to resume but the server no longer had our taxi (it waited too long) - that game is over
+    if (offeredSession && !session.resumed) {
+        returnToStartScreen('YOUR GAME HAS EXPIRED');
+        return;
+    }
+    
+    sessionStorage.setItem(SESSION_STORAGE_KEY, session.token);
+    console.log(`Client ${session.resumed ? 'resumed' : 'playing'} as ${session.playerId} (held for ${session.graceSeconds}s if disconnected)`);
+    
+    // Credits left from the start screen go to the server, which counts them from now on
+    const coins = credits;
+    setCredits(session.credits);
+    if (coins > 0) {
+        sendInsertCoinMessage(coins);
+    }
+}
+
+// Stored session token (null if there is no game to resume)
+function loadSessionToken() {
+    return sessionStorage.getItem(SESSION_STORAGE_KEY);
+}
+
+// Drop the stored session (the game was quit or is over - there is nothing to resume, see returnToStartScreen)
+function forgetSessionToken() {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// Send a message to the server (body as described by GameProtocol.MESSAGE_SCHEMA)
+// Returns false if the connection isn't open
+function sendMessage(messageType, body = null) {
+    if (gameWebSocket && gameWebSocket.readyState === WebSocket.OPEN) {
+        gameWebSocket.send(GameProtocol.encode(messageType, body));
+        return true;
+    }
+    return false;
+}
+
+// Send HELLO message to server with our protocol version
+function sendHelloMessage() {
+    if (sendMessage(MESSAGE_TYPE.HELLO, { protocolVersion: PROTOCOL_VERSION })) {
+        console.log('Client sent HELLO');
+    }
+}
+
+// Send a timestamped PING to server (its PONG measures the connection)
+// Returns false if the connection isn't open
+function sendPingMessage() {
+    if (gameWebSocket && gameWebSocket.readyState === WebSocket.OPEN) {
+        sendMessage(MESSAGE_TYPE.PING, serverClock.createPing());
+        console.log('Client sent PING');
+        return true;
+    }
+    return false;
+}
+
 // Send START_GAME message to server
 function sendStartGameMessage() {
-    if (gameWebSocket && gameWebSocket.readyState === WebSocket.OPEN) {
-        const messageType = MESSAGE_TYPE.START_GAME;
-        const payload = new Uint8Array(0); // Empty payload for START_GAME
-        const payloadLength = payload.length;
-        
-        // Create ArrayBuffer: 2 bytes (message type) + 2 bytes (payload length) + payload
-        const buffer = new ArrayBuffer(4 + payloadLength);
-        const view = new DataView(buffer);
-        
-        // Write header
-        view.setUint16(0, messageType, true); // little-endian
-        view.setUint16(2, payloadLength, true); // little-endian
-        
-        gameWebSocket.send(buffer);
+    if (sendMessage(MESSAGE_TYPE.START_GAME)) {
         console.log('Client sent START_GAME');
     }
 }
 
 // Send STOP_GAME message to server
 function sendStopGameMessage() {
-    if (gameWebSocket && gameWebSocket.readyState === WebSocket.OPEN) {
-        const messageType = MESSAGE_TYPE.STOP_GAME;
-        const payload = new Uint8Array(0); // Empty payload for STOP_GAME
-        const payloadLength = payload.length;
-        
-        // Create ArrayBuffer: 2 bytes (message type) + 2 bytes (payload length) + payload
-        const buffer = new ArrayBuffer(4 + payloadLength);
-        const view = new DataView(buffer);
-        
-        // Write header
-        view.setUint16(0, messageType, true); // little-endian
-        view.setUint16(2, payloadLength, true); // little-endian
-        
-        gameWebSocket.send(buffer);
+    if (sendMessage(MESSAGE_TYPE.STOP_GAME)) {
         console.log('Client sent STOP_GAME');
     }
 }
 
+// Send CONTINUE message to server (spend a credit on the game over screen)
+function sendContinueMessage() {
+    if (sendMessage(MESSAGE_TYPE.CONTINUE)) {
+        console.log('Client sent CONTINUE');
+    }
+}
+
+// Send INSERT_COIN message to server (at most 255 coins at a time - the server caps credits well below)
+function sendInsertCoinMessage(coins) {
+    if (sendMessage(MESSAGE_TYPE.INSERT_COIN, { coins: Math.min(coins, 255) })) {
+        console.log(`Client sent INSERT_COIN (${coins})`);
+    }
+}
+
+// Send PLAYER_INPUT message to server (one per update cycle)
+function sendPlayerInputMessage(input) {
+    sendMessage(MESSAGE_TYPE.PLAYER_INPUT, {
+        sequence: input.sequence,
+        clientTick: input.clientTick,
+        buttons: input.buttons
+    });
+}
+
+// Send REPLAY_CONTROL message to server (REPLAY_ACTION, with a tick for SEEK and a speed for SPEED)
+function sendReplayControlMessage(action, tick = 0, speed = 0) {
+    sendMessage(MESSAGE_TYPE.REPLAY_CONTROL, { action: action, tick: tick, speed: speed });
+}
+
+// Send SNAPSHOT_ACK message to server (confirms a snapshot tick as delta baseline)
+function sendSnapshotAckMessage(tick) {
+    sendMessage(MESSAGE_TYPE.SNAPSHOT_ACK, { tick: tick });
+}
+
 // Close WebSocket when leaving game screen
 function closeWebSocket() {
     if (clientPingInterval) {
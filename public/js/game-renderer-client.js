@@ -0,0 +1,295 @@
+// Game Renderer - Draws the level and taxis onto the game screen canvas
+// Draw order: background image layers, tile layers, platform landing strips, passengers, remote taxis, local taxi
+// Everything is drawn in world units; the viewport scales the camera's view of the world to
+// the window (letterboxed). Markers for things out of view are drawn last, in camera space.
+// Image smoothing is off to keep the pixelated look
+class GameRenderer {
+    constructor(canvas, viewport) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.viewport = viewport;
+        this.images = new Map(); // src -> HTMLImageElement (loaded on first use)
+        this.level = null;
+        this.platforms = [];
+
+        // Taxi sprites: x is the taxi center, y its top edge; sprites sit on the bottom of the collision box
+        this.playerSprites = {
+            left: 'assets/Taxi-Left.png',
+            right: 'assets/Taxi-Right.png',
+            leftGear: 'assets/Taxi-Left-Gear.png',
+            rightGear: 'assets/Taxi-Right-Gear.png'
+        };
+        this.aiSprites = {
+            normal: 'assets/ai.png',   // Faces left, flipped when facing right
+            gear: 'assets/ai-gear.png'
+        };
+        Object.values(this.playerSprites).concat(Object.values(this.aiSprites)).forEach(src => this.getImage(src));
+    }
+
+    // Match the canvas to the window size in CSS pixels (call on resize)
+    // The backing store gets one pixel per device pixel
+    resize(width, height, pixelRatio = 1) {
+        this.viewport.resize(width, height, pixelRatio);
+        const size = this.viewport.getCanvasSize();
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+    }
+
+    // Blank the canvas (e.g. when leaving the game screen)
+    clear() {
+        this.context.setTransform(1, 0, 0, 1, 0, 0);
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Use a level (parsed TMX from LEVEL_DATA) and start loading its images
+    setLevel(level) {
+        this.level = level;
+        this.platforms = [];
+        if (!level) return;
+
+        level.imageLayers.forEach(layer => {
+            if (layer.image) this.getImage(layer.image.source);
+        });
+        level.tilesets.forEach(tileset => {
+            if (tileset.image) this.getImage(tileset.image.source);
+        });
+
+        const platformGroup = level.objectGroups.find(group => group.name === LevelCollision.PLATFORM_GROUP);
+        this.platforms = platformGroup ? platformGroup.objects : [];
+    }
+
+    // Image for a source path (relative to the page), loading it on first request
+    getImage(src) {
+        let image = this.images.get(src);
+        if (!image) {
+            image = new Image();
+            image.src = src;
+            this.images.set(src, image);
+        }
+        return image;
+    }
+
+    // Draw one frame
+    // scene: { localTaxi, config, remotePlayers, aiPlayers, passengers } - entity states as in snapshots
+    //        markers: [{ x, y, label, color }] - world points to point at when they are out of view
+    render(scene) {
+        const context = this.context;
+        this.clear();
+        context.imageSmoothingEnabled = false;
+
+        // Draw in world units, clipped to the world's rectangle on screen (the rest is letterbox)
+        const view = this.viewport.getViewRect();
+        context.save();
+        context.beginPath();
+        context.rect(view.x, view.y, view.width, view.height);
+        context.clip();
+        this.viewport.applyTransform(context);
+
+        if (this.level) {
+            this._drawImageLayers();
+            this._drawTileLayers();
+            this._drawPlatforms();
+        }
+
+        scene.passengers.forEach(passenger => this._drawPassenger(passenger));
+        scene.remotePlayers.forEach(player => this._drawTaxi(player, scene.config, this._playerSprite(player)));
+        scene.aiPlayers.forEach(aiPlayer => this._drawTaxi(aiPlayer, scene.config, this._aiSprite(aiPlayer), aiPlayer.facingRight));
+        if (scene.localTaxi) {
+            this._drawTaxi(scene.localTaxi, scene.config, this._playerSprite(scene.localTaxi));
+        }
+
+        this.viewport.applyViewTransform(context);
+        (scene.markers || []).forEach(marker => this._drawMarker(marker));
+        context.restore();
+    }
+
+    // Arrow at the edge of the view pointing at an off-screen world point, with its label
+    // (nothing is drawn while the point is in view)
+    _drawMarker(marker) {
+        const context = this.context;
+        const viewWidth = this.viewport.viewWidth;
+        const viewHeight = this.viewport.viewHeight;
+        const point = this.viewport.worldToView(marker.x, marker.y);
+        if (point.x >= 0 && point.x <= viewWidth && point.y >= 0 && point.y <= viewHeight) return;
+
+        // Pin to the view edge along the line from the view centre, inset by MARKER_INSET
+        const inset = GameRenderer.MARKER_INSET;
+        const centreX = viewWidth / 2;
+        const centreY = viewHeight / 2;
+        const dx = point.x - centreX;
+        const dy = point.y - centreY;
+        const reach = Math.min(
+            dx !== 0 ? (centreX - inset) / Math.abs(dx) : Infinity,
+            dy !== 0 ? (centreY - inset) / Math.abs(dy) : Infinity);
+        const x = centreX + dx * reach;
+        const y = centreY + dy * reach;
+        const angle = Math.atan2(dy, dx);
+
+        context.save();
+        context.translate(x, y);
+        context.rotate(angle);
+        context.fillStyle = marker.color;
+        context.beginPath();
+        context.moveTo(8, 0);
+        context.lineTo(-6, -6);
+        context.lineTo(-6, 6);
+        context.closePath();
+        context.fill();
+        context.restore();
+
+        context.font = '10px monospace';
+        context.textAlign = 'center';
+        context.fillStyle = marker.color;
+        context.fillText(marker.label, x - Math.cos(angle) * 18, y - Math.sin(angle) * 18 + 3);
+    }
+
+    _drawImageLayers() {
+        const context = this.context;
+        this.level.imageLayers.forEach(layer => {
+            if (!layer.visible || !layer.image) return;
+            const image = this.getImage(layer.image.source);
+            if (!image.complete || image.naturalWidth === 0) return;
+
+            context.globalAlpha = layer.opacity;
+            context.drawImage(image, layer.offsetX, layer.offsetY);
+        });
+        context.globalAlpha = 1;
+    }
+
+    _drawTileLayers() {
+        const context = this.context;
+        const level = this.level;
+
+        level.tileLayers.forEach(layer => {
+            if (!layer.visible) return;
+            context.globalAlpha = layer.opacity;
+
+            layer.data.forEach((gid, index) => {
+                if (gid === 0) return;
+                const tileset = this._tilesetForGid(gid);
+                if (!tileset || !tileset.image) return;
+                const image = this.getImage(tileset.image.source);
+                if (!image.complete || image.naturalWidth === 0) return;
+
+                // Source rectangle in the tileset image
+                const localId = gid - tileset.firstGid;
+                const sourceX = tileset.margin + (localId % tileset.columns) * (tileset.tileWidth + tileset.spacing);
+                const sourceY = tileset.margin + Math.floor(localId / tileset.columns) * (tileset.tileHeight + tileset.spacing);
+
+                // Tiled anchors tiles to the bottom-left of their cell (pad tiles are shorter than a cell)
+                const column = index % layer.width;
+                const row = Math.floor(index / layer.width);
+                const x = column * level.tileWidth;
+                const y = (row + 1) * level.tileHeight - tileset.tileHeight;
+
+                context.drawImage(image, sourceX, sourceY, tileset.tileWidth, tileset.tileHeight,
+                    x, y, tileset.tileWidth, tileset.tileHeight);
+            });
+        });
+        context.globalAlpha = 1;
+    }
+
+    // Landing strip along the top of each platform so pads read clearly (fuel pads are orange and labelled)
+    _drawPlatforms() {
+        const context = this.context;
+        this.platforms.forEach(platform => {
+            const isFuelPad = platform.type === LevelCollision.PLATFORM_TYPE.FUEL;
+            context.fillStyle = isFuelPad ? 'rgba(255, 153, 0, 0.8)' : 'rgba(0, 255, 255, 0.6)';
+            context.fillRect(Math.round(platform.x), Math.round(platform.y) - 2, Math.round(platform.width), 2);
+
+            if (isFuelPad) {
+                context.font = '10px monospace';
+                context.textAlign = 'center';
+                context.fillText('FUEL', Math.round(platform.x + platform.width / 2), Math.round(platform.y) + 14);
+            }
+        });
+    }
+
+    // Draw a taxi sprite at its native size, centered on x and resting on the collision box bottom
+    _drawTaxi(taxi, config, image, flip = false) {
+        if (!image.complete || image.naturalWidth === 0) return;
+        const context = this.context;
+        const width = image.naturalWidth;
+        const height = image.naturalHeight;
+        const x = Math.round(taxi.x - width / 2);
+        const y = Math.round(taxi.y + config.taxiHeight - height);
+
+        context.save();
+        if (taxi.crashed) {
+            // Grey out wrecks until the server respawns them
+            context.filter = 'grayscale(1) brightness(0.5)';
+            context.globalAlpha = 0.8;
+        }
+        if (flip) {
+            context.translate(x + width, y);
+            context.scale(-1, 1);
+            context.drawImage(image, 0, 0);
+        } else {
+            context.drawImage(image, x, y);
+        }
+        context.restore();
+    }
+
+    // Passengers are little pixel people standing on their platform (riders are inside the taxi)
+    _drawPassenger(passenger) {
+        if (passenger.state === PASSENGER_STATE.RIDING) return;
+        const context = this.context;
+        const x = Math.round(passenger.x) - 3;
+        const feetY = Math.round(passenger.y);
+
+        context.fillStyle = '#ffcc99'; // Head
+        context.fillRect(x + 1, feetY - 16, 4, 4);
+        context.fillStyle = this._passengerColor(passenger.netId); // Body
+        context.fillRect(x, feetY - 12, 6, 7);
+        context.fillStyle = '#333366'; // Legs
+        context.fillRect(x + 1, feetY - 5, 1, 5);
+        context.fillRect(x + 4, feetY - 5, 1, 5);
+
+        if (passenger.state === PASSENGER_STATE.WAITING) {
+            // Waving arm and a hail for passing taxis
+            context.fillStyle = '#ffcc99';
+            context.fillRect(x + 6, feetY - 18, 1, 7);
+            context.font = '10px monospace';
+            context.textAlign = 'center';
+            context.fillStyle = '#ffff00';
+            context.fillText('TAXI!', x + 3, feetY - 21);
+        }
+    }
+
+    // Stable shirt color per passenger
+    _passengerColor(netId) {
+        const colors = ['#ff3333', '#33ccff', '#ff9900', '#cc66ff', '#66ff66'];
+        return colors[netId % colors.length];
+    }
+
+    _playerSprite(taxi) {
+        const sprites = this.playerSprites;
+        if (taxi.facingRight) {
+            return this.getImage(taxi.landingGear ? sprites.rightGear : sprites.right);
+        }
+        return this.getImage(taxi.landingGear ? sprites.leftGear : sprites.left);
+    }
+
+    _aiSprite(taxi) {
+        return this.getImage(taxi.landingGear ? this.aiSprites.gear : this.aiSprites.normal);
+    }
+
+    // Tileset a gid belongs to (tilesets are sorted by firstGid)
+    _tilesetForGid(gid) {
+        let match = null;
+        this.level.tilesets.forEach(tileset => {
+            if (gid >= tileset.firstGid) match = tileset;
+        });
+        return match;
+    }
+}
+
+// How far from the view edge off-screen markers sit (world units)
+GameRenderer.MARKER_INSET = 14;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRenderer;
+}
@@ -0,0 +1,200 @@
+// Replay Viewer - Watches a game recorded by the server (/ws?replay=NAME - see server/replay-viewer-server.js)
+// The server re-simulates the replay and sends snapshots as for a game; this only steers
+// playback, with the replay bar under the game or the keyboard:
+// space/P play or pause, arrows skip, +/- change speed, F follows the next taxi
+
+// Default replay viewer settings
+const DEFAULT_REPLAY_VIEWER_CONFIG = {
+    speeds: [0.25, 0.5, 1, 2, 4], // Playback speeds offered (the server clamps to the same range)
+    skipSeconds: 10               // Left/right arrow jump
+};
+
+class ReplayViewer {
+    // sendControl(action, tick, speed) sends a REPLAY_CONTROL message (see GameProtocol.REPLAY_ACTION)
+    // onSelect(name) switches to another replay picked on the bar
+    constructor(sendControl, onSelect, config = {}) {
+        this.config = Object.assign({}, DEFAULT_REPLAY_VIEWER_CONFIG, config);
+        this.sendControl = sendControl;
+        this.onSelect = onSelect;
+        this.name = null;       // Replay file being watched (from GET /replays), null when playing
+        this.status = null;     // Latest REPLAY_STATUS
+        this.seekTarget = null; // Tick the seek bar was moved to, until the server has jumped there
+
+        this.bar = document.getElementById('replay-bar');
+        this.playButton = document.getElementById('replay-play');
+        this.seekBar = document.getElementById('replay-seek');
+        this.timeText = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.followButton = document.getElementById('replay-follow');
+        this.replaySelect = document.getElementById('replay-select');
+        this._initBar();
+    }
+
+    // Names of the recorded replays, newest first (empty if they can't be listed)
+    static async list() {
+        try {
+            const response = await fetch('/replays');
+            if (!response.ok) {
+                throw new Error(`GET /replays failed with ${response.status}`);
+            }
+            const replays = (await response.json()).replays;
+            return Array.isArray(replays) ? replays : [];
+        } catch (error) {
+            console.error('Could not list replays:', error);
+            return [];
+        }
+    }
+
+    // Is a replay being watched?
+    get active() {
+        return this.name !== null;
+    }
+
+    // Start watching the first of the given replays, offering the others on the bar
+    open(replays) {
+        this.replaySelect.innerHTML = '';
+        replays.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.replace(/\.replay$/, '');
+            this.replaySelect.appendChild(option);
+        });
+
+        this.watch(replays[0]);
+        this.bar.classList.add('active');
+    }
+
+    // Switch to another replay (the server plays one replay per connection)
+    watch(name) {
+        this.name = name;
+        this.status = null;
+        this.seekTarget = null;
+    }
+
+    // Back to playing (the game screen was left)
+    close() {
+        this.watch(null);
+        this.bar.classList.remove('active');
+    }
+
+    // Handle REPLAY_STATUS: { event, name, tick, endTick, tickRate, playing, speed, seeking, following }
+    handleStatus(status) {
+        if (status.event === 'seek') {
+            this.seekTarget = null;
+        }
+        this.status = status;
+
+        this.playButton.textContent = status.playing ? 'PAUSE' : 'PLAY';
+        this.speedSelect.value = String(status.speed);
+        this.followButton.textContent = `FOLLOW ${(status.following || '-').toUpperCase()}`;
+        this.seekBar.max = status.endTick;
+    }
+
+    // Keyboard playback controls (latestTick: tick of the latest snapshot, null before the first)
+    handleKey(event, latestTick) {
+        const key = event.key.toLowerCase();
+        if (key === ' ' || key === 'p') {
+            event.preventDefault();
+            this.togglePlayback();
+        } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            if (!this.status) return;
+            const from = this.seekTarget !== null ? this.seekTarget : this._getTick(latestTick);
+            const skip = this.config.skipSeconds * this.status.tickRate;
+            this.seek(from + (event.key === 'ArrowLeft' ? -skip : skip));
+        } else if (key === '+' || key === '=' || key === '-') {
+            event.preventDefault();
+            if (!this.status) return;
+            const speeds = this.config.speeds;
+            const index = speeds.indexOf(this.status.speed);
+            const next = speeds[Math.max(0, Math.min(speeds.length - 1, index + (key === '-' ? -1 : 1)))];
+            this.sendControl(GameProtocol.REPLAY_ACTION.SPEED, 0, next);
+        } else if (key === 'f') {
+            event.preventDefault();
+            this.sendControl(GameProtocol.REPLAY_ACTION.FOLLOW);
+        }
+    }
+
+    togglePlayback() {
+        if (!this.status) return;
+        this.sendControl(this.status.playing ? GameProtocol.REPLAY_ACTION.PAUSE : GameProtocol.REPLAY_ACTION.PLAY);
+    }
+
+    // Ask the server to jump to a tick (clamped to the replay)
+    seek(tick) {
+        if (!this.status) return;
+        this.seekTarget = Math.max(0, Math.min(this.status.endTick, Math.round(tick)));
+        this.sendControl(GameProtocol.REPLAY_ACTION.SEEK, this.seekTarget);
+    }
+
+    // Move the seek bar and playback clock along with the snapshots
+    updateBar(latestTick) {
+        if (!this.active || !this.status) return;
+
+        const tick = this.seekTarget !== null ? this.seekTarget : this._getTick(latestTick);
+        if (this.seekTarget === null && Number(this.seekBar.value) !== tick) {
+            this.seekBar.value = tick;
+        }
+
+        const text = `${this.formatTime(tick)} / ${this.formatTime(this.status.endTick)}` + (this.status.seeking ? ' SEEKING' : '');
+        if (this.timeText.textContent !== text) {
+            this.timeText.textContent = text;
+        }
+    }
+
+    // Ticks as M:SS of game time
+    formatTime(ticks) {
+        const seconds = Math.floor(ticks / (this.status ? this.status.tickRate : 20));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Wire up the replay bar's controls
+    _initBar() {
+        this.config.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}X`;
+            this.speedSelect.appendChild(option);
+        });
+
+        // Buttons give focus back so the keyboard keeps driving playback
+        this.playButton.addEventListener('click', () => {
+            this.playButton.blur();
+            this.togglePlayback();
+        });
+        this.followButton.addEventListener('click', () => {
+            this.followButton.blur();
+            this.sendControl(GameProtocol.REPLAY_ACTION.FOLLOW);
+        });
+        this.speedSelect.addEventListener('change', () => {
+            this.speedSelect.blur();
+            this.sendControl(GameProtocol.REPLAY_ACTION.SPEED, 0, Number(this.speedSelect.value));
+        });
+        this.replaySelect.addEventListener('change', () => {
+            this.replaySelect.blur();
+            this.onSelect(this.replaySelect.value);
+        });
+
+        // Dragging the seek bar only moves it; letting go asks the server to jump there
+        this.seekBar.addEventListener('input', () => {
+            this.seekTarget = Number(this.seekBar.value);
+        });
+        this.seekBar.addEventListener('change', () => {
+            this.seekBar.blur();
+            this.seek(Number(this.seekBar.value));
+        });
+    }
+
+    // Tick of the latest replay snapshot (the last status's before the first snapshot)
+    _getTick(latestTick) {
+        if (latestTick !== null) return latestTick;
+        return this.status ? this.status.tick : 0;
+    }
+}
+
+ReplayViewer.DEFAULT_CONFIG = DEFAULT_REPLAY_VIEWER_CONFIG;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayViewer;
+}
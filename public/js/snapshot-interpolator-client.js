@@ -0,0 +1,113 @@
+// Snapshot Interpolator - Smooth rendering of remote entities from timestamped server snapshots
+// Remote taxis are drawn slightly in the past (interpolationDelay) so there are usually two
+// snapshots to blend between; when packets are late, motion is extrapolated for a short while
+class SnapshotInterpolator {
+    constructor(config = {}) {
+        this.interpolationDelay = config.interpolationDelay || 100; // How far in the past to render (ms)
+        this.maxExtrapolation = config.maxExtrapolation || 100;     // Longest extrapolation past the newest snapshot (ms)
+        this.bufferSize = config.bufferSize || 30;                  // Snapshots kept (1.5 seconds at 20 Hz)
+
+        this.buffer = []; // [{ time, snapshot }] oldest first
+    }
+
+    // Add a snapshot taken at the given time (ms, server clock - see ClockSync)
+    push(snapshot, time) {
+        // Ignore anything older than what we already have
+        const newest = this.buffer[this.buffer.length - 1];
+        if (newest && snapshot.tick <= newest.snapshot.tick) return;
+
+        this.buffer.push({ time, snapshot });
+        while (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+    }
+
+    // Forget all snapshots (e.g. on reconnect)
+    clear() {
+        this.buffer = [];
+    }
+
+    // Sample entity states at the given time (ms), delayed by interpolationDelay
+    // Returns { players, aiPlayers, passengers } or null before the first snapshot
+    sample(time) {
+        if (this.buffer.length === 0) return null;
+
+        const renderTime = time - this.interpolationDelay;
+        const oldest = this.buffer[0];
+        const newest = this.buffer[this.buffer.length - 1];
+
+        // Not enough history yet - hold the oldest snapshot
+        if (renderTime <= oldest.time) {
+            return this._copyEntities(oldest.snapshot);
+        }
+
+        // Ran past the newest snapshot - extrapolate along velocity for a limited time
+        if (renderTime >= newest.time) {
+            const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation) / 1000;
+            return this._extrapolate(newest.snapshot, ahead);
+        }
+
+        // Find the two snapshots around renderTime and blend between them
+        for (let i = this.buffer.length - 1; i > 0; i--) {
+            const from = this.buffer[i - 1];
+            const to = this.buffer[i];
+            if (renderTime >= from.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                return this._interpolate(from.snapshot, to.snapshot, t);
+            }
+        }
+        return this._copyEntities(oldest.snapshot);
+    }
+
+    // Blend each entity between two snapshots (t = 0..1)
+    _interpolate(from, to, t) {
+        const blend = (fromList, toList) => toList.map(toEntity => {
+            const fromEntity = fromList.find(entity => entity.netId === toEntity.netId);
+            if (!fromEntity) {
+                return Object.assign({}, toEntity); // Just appeared - nothing to blend from
+            }
+
+            // Discrete state (flags) switches halfway through the interval
+            const entity = Object.assign({}, t < 0.5 ? fromEntity : toEntity);
+            entity.x = fromEntity.x + (toEntity.x - fromEntity.x) * t;
+            entity.y = fromEntity.y + (toEntity.y - fromEntity.y) * t;
+            if (toEntity.vx !== undefined) { // Passengers have no velocity
+                entity.vx = fromEntity.vx + (toEntity.vx - fromEntity.vx) * t;
+                entity.vy = fromEntity.vy + (toEntity.vy - fromEntity.vy) * t;
+            }
+            return entity;
+        });
+
+        return {
+            players: blend(from.players, to.players),
+            aiPlayers: blend(from.aiPlayers, to.aiPlayers),
+            passengers: blend(from.passengers, to.passengers)
+        };
+    }
+
+    // Move each entity along its velocity for the given number of seconds
+    _extrapolate(snapshot, seconds) {
+        const entities = this._copyEntities(snapshot);
+        const advance = entity => {
+            if (entity.onGround) return; // Parked taxis stay put
+            entity.x += entity.vx * seconds;
+            entity.y += entity.vy * seconds;
+        };
+        entities.players.forEach(advance);
+        entities.aiPlayers.forEach(advance);
+        return entities;
+    }
+
+    _copyEntities(snapshot) {
+        return {
+            players: snapshot.players.map(entity => Object.assign({}, entity)),
+            aiPlayers: snapshot.aiPlayers.map(entity => Object.assign({}, entity)),
+            passengers: snapshot.passengers.map(entity => Object.assign({}, entity))
+        };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotInterpolator;
+}
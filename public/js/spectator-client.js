@@ -0,0 +1,90 @@
+// Spectator - Watches a live room without a taxi (/ws?spectate - see MessageHandler.registerConnection)
+// The camera follows one taxi at a time (players first, then AI taxis) or pans freely over
+// the level. F follows the next taxi, C switches between following and the free camera.
+
+// Default spectator settings
+const DEFAULT_SPECTATOR_CONFIG = {
+    freeCameraSpeed: 600 // World units per second the free camera pans
+};
+
+class Spectator {
+    constructor(config = {}) {
+        this.config = Object.assign({}, DEFAULT_SPECTATOR_CONFIG, config);
+        this.active = false;     // The game screen is open to watch, not to play
+        this.followNetId = 0;    // Taxi the camera follows (0 until the first snapshot)
+        this.freeCamera = false; // Panned with WASD/arrows instead of following
+    }
+
+    // Start watching (following whichever taxi comes first)
+    start() {
+        this.active = true;
+        this.followNetId = 0;
+        this.freeCamera = false;
+    }
+
+    // Back to playing (the game screen was left)
+    stop() {
+        this.active = false;
+        this.followNetId = 0;
+        this.freeCamera = false;
+    }
+
+    // Net id of the taxi the view is about (0 with the free camera)
+    getFocusNetId() {
+        return this.freeCamera ? 0 : this.followNetId;
+    }
+
+    // Is this one of the keys that pick what the camera shows?
+    isCameraKey(key) {
+        return key === 'f' || key === 'c';
+    }
+
+    // F follows the next taxi in the snapshot, C switches between following and the free camera
+    handleKey(event, snapshot) {
+        event.preventDefault();
+        if (event.key.toLowerCase() === 'f') {
+            this.freeCamera = false;
+            this.followNextTaxi(snapshot);
+        } else {
+            this.freeCamera = !this.freeCamera;
+        }
+    }
+
+    // Follow the taxi after the current one in a snapshot (players first, then AI taxis)
+    followNextTaxi(snapshot) {
+        if (!snapshot) return;
+        const taxis = snapshot.players.concat(snapshot.aiPlayers);
+        if (taxis.length === 0) return;
+        const index = taxis.findIndex(entity => entity.netId === this.followNetId);
+        this.followNetId = taxis[(index + 1) % taxis.length].netId;
+    }
+
+    // The followed taxi as drawn, switching to the first one when it has left (or none was chosen yet)
+    // findTaxi(netId) returns a drawn taxi or null; returns null if there is no taxi to follow
+    getFollowedTaxi(snapshot, findTaxi) {
+        let followed = findTaxi(this.followNetId);
+        if (!followed) {
+            this.followNetId = 0;
+            this.followNextTaxi(snapshot);
+            followed = findTaxi(this.followNetId);
+        }
+        return followed;
+    }
+
+    // Pan the free camera from the view's centre (the camera keeps it inside the world)
+    // direction: { x, y } of -1, 0 or 1 from the held keys
+    panCamera(camera, direction, deltaTime) {
+        const distance = this.config.freeCameraSpeed * deltaTime;
+        camera.snapTo({
+            x: camera.x + camera.viewWidth / 2 + direction.x * distance,
+            y: camera.y + camera.viewHeight / 2 + direction.y * distance
+        });
+    }
+}
+
+Spectator.DEFAULT_CONFIG = DEFAULT_SPECTATOR_CONFIG;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Spectator;
+}
@@ -16,11 +16,57 @@ const creditMessage = document.getElementById('credit-message');
 function updateCreditMessage() {
     if (credits > 0) {
         creditMessage.textContent = `${credits} CREDIT${credits > 1 ? 'S' : ''}`;
+    } else if (loadSessionToken()) {
+        creditMessage.textContent = 'PRESS ENTER TO RESUME YOUR GAME';
     } else {
         creditMessage.textContent = 'INSERT COIN TO BEGIN (PRESS KEYS 1 || 2)';
     }
 }
 
+// Add credits for inserted coins on the start screen (in a game the server counts them - see handleSession)
+function insertCoin(amount) {
+    credits += amount;
+    playCoinSound();
+    updateCreditMessage();
+}
+
+// Spend one credit - returns false if there are none
+function spendCredit() {
+    if (credits <= 0) return false;
+    credits -= 1;
+    updateCreditMessage();
+    return true;
+}
+
+// Give back a credit for a game that never started (e.g. the room was full)
+function refundCredit() {
+    credits += 1;
+    updateCreditMessage();
+}
+
+// Leave the game screen and show the start screen (ESC, or the game ending)
+// Leaving gives the game up, so the session kept for resuming it after a reload is dropped
+// (watching a replay or spectating is not playing, so a game waiting to be resumed stays resumable)
+// An optional message replaces the credit message until the next coin or credit change
+function returnToStartScreen(message = null) {
+    const startScreen = document.getElementById('start-screen');
+    const gameScreen = document.getElementById('game-screen');
+    
+    gameScreen.classList.remove('active');
+    startScreen.classList.remove('hidden');
+    if (!isWatching()) {
+        forgetSessionToken();
+    }
+    if (message) {
+        creditMessage.textContent = message;
+    } else {
+        updateCreditMessage();
+    }
+}
+
+// A game interrupted by a page reload can be resumed (session helpers are in game-client.js)
+document.addEventListener('DOMContentLoaded', updateCreditMessage);
+
 // Audio system - optimized for instant playback
 let audioContext = null;
 let coinSoundBuffer = null;
@@ -169,23 +215,19 @@ function isGameMode() {
     return gameScreen && gameScreen.classList.contains('active');
 }
 
-// Handle coin insertion (keys 1 and 2), reset (key 0), start (Enter), and quit (ESC)
+// Handle coin insertion (keys 1 and 2), reset (key 0), start (Enter), replays (R), spectating (S), and quit (ESC)
 document.addEventListener('keydown', (event) => {
     const inGameMode = isGameMode();
     
     // ESC key - quit game and return to welcome screen
     if (event.key === 'Escape') {
         if (inGameMode) {
-            const startScreen = document.getElementById('start-screen');
-            const gameScreen = document.getElementById('game-screen');
-            
-            gameScreen.classList.remove('active');
-            startScreen.classList.remove('hidden');
+            returnToStartScreen();
         }
         return;
     }
     
-    // In game mode, disable all other keys except ESC
+    // In game mode, disable all other keys except ESC (the game over screen handles its own coins)
     if (inGameMode) {
         if (event.key === 'Enter') {
             event.preventDefault();
@@ -195,21 +237,21 @@ document.addEventListener('keydown', (event) => {
     
     // Start screen controls
     if (event.key === '1') {
-        credits += 1;
-        playCoinSound();
-        updateCreditMessage();
+        insertCoin(1);
     } else if (event.key === '2') {
-        credits += 2;
-        playCoinSound();
-        updateCreditMessage();
+        insertCoin(2);
     } else if (event.key === '0') {
         credits = 0;
         updateCreditMessage();
+    } else if (event.key === 'r' || event.key === 'R') {
+        // Watch recorded games - free, and no coins needed (see startReplayViewer in game-client.js)
+        startReplayViewer();
+    } else if (event.key === 's' || event.key === 'S') {
+        // Watch a live game without playing - free too (see startSpectating in game-client.js)
+        startSpectating();
     } else if (event.key === 'Enter') {
-        // Only start game if player has credits
-        if (credits > 0) {
-            credits -= 1;
-            updateCreditMessage();
+        // Only start game if player has credits (resuming a game interrupted by a reload is free)
+        if (loadSessionToken() || spendCredit()) {
             playSpaceIntro();
             
             // Switch to game screen immediately
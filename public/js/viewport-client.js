@@ -0,0 +1,132 @@
+// Viewport - Maps world units onto the game canvas so every window sees the same world
+// The world is scaled uniformly to fit the window and centred, with letterbox bars on the spare sides
+//   fit:     largest scale that fits (any fraction) - fills as much of the window as possible
+//   integer: largest whole-number scale that fits - every world pixel becomes an exact block of
+//            screen pixels for the sharpest pixel art (falls back to fit when the window is
+//            smaller than the view)
+// The view shows a viewWidth x viewHeight region of the world starting at the view origin
+// (moved by the Camera on levels larger than the screen)
+// Screen coordinates are CSS pixels relative to the canvas; the canvas backing store is
+// sized in device pixels so high-DPI screens stay crisp
+
+const VIEWPORT_MODE = {
+    FIT: 'fit',
+    INTEGER: 'integer'
+};
+
+class Viewport {
+    constructor(config = {}) {
+        this.mode = config.mode || VIEWPORT_MODE.FIT;
+        this.viewWidth = config.viewWidth || 1024;   // World units shown across
+        this.viewHeight = config.viewHeight || 768;  // World units shown down
+        this.originX = 0;       // World position of the view's top-left corner
+        this.originY = 0;
+        this.screenWidth = 0;   // Canvas size in CSS pixels
+        this.screenHeight = 0;
+        this.pixelRatio = 1;    // Device pixels per CSS pixel
+
+        // Derived transform (device pixels): screen = offset + (world - origin) * scale
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+    }
+
+    // Canvas size changed (CSS pixels and devicePixelRatio)
+    resize(screenWidth, screenHeight, pixelRatio = 1) {
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+        this.pixelRatio = pixelRatio;
+        this._update();
+    }
+
+    // Size of the world region to show (in world units)
+    setViewSize(width, height) {
+        this.viewWidth = width;
+        this.viewHeight = height;
+        this._update();
+    }
+
+    // World position of the view's top-left corner (see Camera.getViewOrigin)
+    setViewOrigin(x, y) {
+        this.originX = x;
+        this.originY = y;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this._update();
+    }
+
+    // Canvas backing store size in device pixels
+    getCanvasSize() {
+        return {
+            width: Math.round(this.screenWidth * this.pixelRatio),
+            height: Math.round(this.screenHeight * this.pixelRatio)
+        };
+    }
+
+    // Screen rectangle (device pixels) the world is drawn into - everything outside is letterbox
+    getViewRect() {
+        return {
+            x: this.offsetX,
+            y: this.offsetY,
+            width: this.viewWidth * this.scale,
+            height: this.viewHeight * this.scale
+        };
+    }
+
+    // Set a 2D context to draw in world units
+    applyTransform(context) {
+        context.setTransform(this.scale, 0, 0, this.scale,
+            this.offsetX - this.originX * this.scale, this.offsetY - this.originY * this.scale);
+    }
+
+    // Set a 2D context to draw in camera space: world units relative to the view's top-left
+    // (for markers pinned to the edges of the view)
+    applyViewTransform(context) {
+        context.setTransform(this.scale, 0, 0, this.scale, this.offsetX, this.offsetY);
+    }
+
+    // Map a point in CSS pixels relative to the canvas into world units
+    screenToWorld(screenX, screenY) {
+        return {
+            x: (screenX * this.pixelRatio - this.offsetX) / this.scale + this.originX,
+            y: (screenY * this.pixelRatio - this.offsetY) / this.scale + this.originY
+        };
+    }
+
+    // Map a point in world units to CSS pixels relative to the canvas
+    worldToScreen(worldX, worldY) {
+        return {
+            x: (this.offsetX + (worldX - this.originX) * this.scale) / this.pixelRatio,
+            y: (this.offsetY + (worldY - this.originY) * this.scale) / this.pixelRatio
+        };
+    }
+
+    // Map a point in world units into camera space
+    worldToView(worldX, worldY) {
+        return { x: worldX - this.originX, y: worldY - this.originY };
+    }
+
+    // Work out scale and letterbox offsets for the current mode and sizes
+    _update() {
+        const canvas = this.getCanvasSize();
+        if (canvas.width === 0 || canvas.height === 0 || this.viewWidth <= 0 || this.viewHeight <= 0) return;
+
+        let scale = Math.min(canvas.width / this.viewWidth, canvas.height / this.viewHeight);
+        if (this.mode === VIEWPORT_MODE.INTEGER && scale >= 1) {
+            scale = Math.floor(scale);
+        }
+
+        this.scale = scale;
+        this.offsetX = Math.round((canvas.width - this.viewWidth * scale) / 2);
+        this.offsetY = Math.round((canvas.height - this.viewHeight * scale) / 2);
+    }
+}
+
+Viewport.MODE = VIEWPORT_MODE;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Viewport;
+}
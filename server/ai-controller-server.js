@@ -0,0 +1,382 @@
+// AI Controller - Flies one AIPlayer taxi with the same controls as a human player
+// Driven by the GameLoop: update() once per physics step, before the taxi is stepped
+//
+// Each decision the bot picks a goal platform (deliver its passenger, refuel, or race other
+// taxis to a waiting passenger), takes off, follows a PathFinder route to a point above the
+// platform and lands on it in hover mode with the gear down. The only outputs are the
+// thrusters (w, a, s, d), hover mode and landing gear - bots obey the same flight model,
+// collisions and fuel as players. Difficulty sets speed, landing care and reaction time.
+
+const LevelCollision = require('../shared/level-collision-shared');
+const Passenger = require('../models/passenger');
+
+// Difficulty presets (AIPlayer.difficulty)
+const AI_DIFFICULTY = {
+    easy: {
+        cruiseSpeed: 120,      // Top flying speed (pixels/s)
+        descentSpeed: 120,     // Touchdown speed - faster than a passenger likes
+        reactionTime: 0.25,    // Seconds between decisions about where to go
+        landingTolerance: 16,  // How well lined up over the pad before descending (pixels)
+        refuelBelow: 0.6,      // Head for a fuel pad below this fraction of a tank
+        chaseRange: 450        // Ignore waiting passengers further away than this (pixels)
+    },
+    normal: {
+        cruiseSpeed: 180,
+        descentSpeed: 80,
+        reactionTime: 0.1,
+        landingTolerance: 10,
+        refuelBelow: 0.5,
+        chaseRange: 700
+    },
+    hard: {
+        cruiseSpeed: 260,
+        descentSpeed: 60,
+        reactionTime: 0,
+        landingTolerance: 6,
+        refuelBelow: 0.4,
+        chaseRange: Infinity
+    }
+};
+
+// What the bot is doing
+const AI_PHASE = {
+    PARKED: 'parked',     // On a platform, waiting for a passenger, fuel or a goal
+    TAKEOFF: 'takeoff',   // Climbing straight up off the platform
+    CRUISE: 'cruise',     // Following the path to the goal platform
+    LANDING: 'landing'    // Lining up over the platform and descending
+};
+
+const APPROACH_HEIGHT = 40;      // Height above the pad where the cruise path ends (pixels)
+const WAYPOINT_RADIUS = 24;      // Close enough to move on to the next waypoint (pixels)
+const REPLAN_INTERVAL = 2;       // Seconds between path refreshes while cruising
+const BRAKING = 300;             // Deceleration planned for when arriving (pixels/s², well within the thrusters)
+const STEERING_DEADBAND = 10;    // Velocity error ignored by the thrusters (pixels/s)
+const REFUEL_FULL = 0.95;        // Leave the fuel pad once the tank is this full
+const PATH_DETOUR = 1.3;         // Flown distance per straight-line distance (fuel estimates)
+const TRIP_OVERHEAD = 2;         // Seconds of take-off and landing per trip (fuel estimates)
+
+class AIController {
+    constructor(difficulty = 'normal') {
+        this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : 'normal';
+        this.settings = AI_DIFFICULTY[this.difficulty];
+        this.phase = AI_PHASE.PARKED;
+        this.goal = null; // { platformId, reason: 'deliver' | 'refuel' | 'pickup' | 'park' }
+        this.path = null; // Waypoints for the taxi centre (see PathFinder.findPath)
+        this.pathTarget = null; // Approach point the path leads to
+        this.waypointIndex = 0;
+        this.replanTimer = 0;
+        this.takeoffY = 0; // Taxi top when the climb started
+        this.reactionTimer = 0;
+        this.controls = { w: false, a: false, s: false, d: false, hover: false, landingGear: true };
+    }
+
+    // Decide this step's controls and apply them to the taxi
+    // context: { physics, pathFinder, platforms, passengers, passenger, isClaimed(platformId) }
+    //   passenger - the passenger riding in this taxi (or null)
+    //   isClaimed - is another bot already heading for this platform's passenger?
+    update(taxi, stepSeconds, context) {
+        if (taxi.crashed) {
+            this._reset();
+        } else {
+            this.replanTimer -= stepSeconds;
+            this.reactionTimer -= stepSeconds;
+            if (this.reactionTimer <= 0) {
+                this.reactionTimer = this.settings.reactionTime;
+                this.goal = this._chooseGoal(taxi, context);
+            }
+            this._fly(taxi, context);
+        }
+
+        taxi.input = { w: this.controls.w, a: this.controls.a, s: this.controls.s, d: this.controls.d };
+        taxi.hoverMode = this.controls.hover;
+        taxi.landingGear = this.controls.landingGear;
+    }
+
+    // Platform id the bot is heading for (0 = none)
+    getGoalPlatformId() {
+        return this.goal ? this.goal.platformId : 0;
+    }
+
+    // Is the bot on its way to pick up a passenger?
+    isChasingPassenger() {
+        return this.goal !== null && this.goal.reason === 'pickup';
+    }
+
+    // Work the controls for the current phase (every step, like a pilot tapping the thrusters)
+    _fly(taxi, context) {
+        const parked = taxi.onGround && taxi.platformId !== 0;
+        if (parked && this.phase !== AI_PHASE.TAKEOFF) {
+            this.phase = AI_PHASE.PARKED;
+        }
+
+        if (this.phase === AI_PHASE.PARKED) {
+            this._park(taxi, context);
+        } else if (this.phase === AI_PHASE.TAKEOFF) {
+            this._takeOff(taxi, context);
+        } else if (this.phase === AI_PHASE.CRUISE) {
+            this._cruise(taxi, context);
+        } else if (this.phase === AI_PHASE.LANDING) {
+            this._land(taxi, context);
+        }
+    }
+
+    // Where to go next (re-decided every reactionTime seconds): deliver, refuel, chase the nearest free passenger, or settle somewhere
+    _chooseGoal(taxi, context) {
+        const fuelPad = context.platforms.find(platform => platform.type === LevelCollision.PLATFORM_TYPE.FUEL);
+        const canRefuel = fuelPad !== undefined && taxi.cash > 0 && taxi.fuel < context.physics.fuelCapacity * REFUEL_FULL;
+        const refuel = canRefuel ? { platformId: fuelPad.id, reason: 'refuel' } : null;
+
+        // Parked at the pump - fill up before going anywhere
+        const onFuelPad = canRefuel && taxi.onGround && taxi.platformId === fuelPad.id;
+        if (onFuelPad) {
+            return refuel;
+        }
+
+        if (context.passenger) {
+            // Before taking off make sure we can get back to the pump afterwards
+            const deliver = { platformId: context.passenger.destinationPlatformId, reason: 'deliver' };
+            const destination = this._findPlatform(context, deliver.platformId);
+            if (taxi.onGround && taxi.platformId === deliver.platformId) return deliver; // Paying up
+            const trip = taxi.onGround ? [destination, fuelPad] : [destination];
+            if (refuel && !this._hasFuelFor(taxi, trip, context)) return refuel;
+            return deliver;
+        }
+
+        // Someone is walking over to us - wait for them
+        const boarding = context.passengers.find(passenger =>
+            passenger.state === Passenger.STATE.BOARDING && passenger.taxiId === taxi.id);
+        if (boarding) {
+            return { platformId: taxi.platformId, reason: 'pickup' };
+        }
+
+        if (refuel && taxi.fuel < context.physics.fuelCapacity * this.settings.refuelBelow) {
+            return refuel;
+        }
+
+        const pickup = this._nearestWaitingPassenger(taxi, context);
+        if (pickup) {
+            // Before taking off, plan for the whole job: the destination is unknown until boarding,
+            // so assume the furthest platform. In the air, just make sure we get there.
+            const platform = this._findPlatform(context, pickup.platformId);
+            const trip = taxi.onGround
+                ? [platform, this._furthestPlatform(platform, context.platforms), fuelPad]
+                : [platform];
+            if (refuel && !this._hasFuelFor(taxi, trip, context)) return refuel;
+            return { platformId: pickup.platformId, reason: 'pickup' };
+        }
+
+        // Nothing to do - stay parked, or land on the nearest platform
+        if (taxi.onGround && taxi.platformId !== 0) {
+            return { platformId: taxi.platformId, reason: 'park' };
+        }
+        const nearest = this._nearestPlatform(taxi, context.platforms);
+        return nearest ? { platformId: nearest.id, reason: 'park' } : null;
+    }
+
+    // Rough check that the tank lasts for a trip via the given platforms (or that refuelling won't help)
+    // Paths bend around buildings, so straight-line legs are padded
+    _hasFuelFor(taxi, platforms, context) {
+        const physics = context.physics;
+        const burnRate = physics.hoverBurnRate + 2 * physics.thrusterBurnRate; // Hover plus two thrusters fighting the damping
+        let x = taxi.x;
+        let y = taxi.y;
+        let seconds = 0;
+        platforms.forEach(platform => {
+            if (!platform) return;
+            const centreX = platform.x + platform.width / 2;
+            seconds += Math.hypot(centreX - x, platform.y - y) * PATH_DETOUR / this.settings.cruiseSpeed + TRIP_OVERHEAD;
+            x = centreX;
+            y = platform.y;
+        });
+        // A trip longer than a full tank is worth a try anyway
+        const needed = seconds * burnRate;
+        return taxi.fuel >= needed || needed > physics.fuelCapacity * REFUEL_FULL;
+    }
+
+    _nearestWaitingPassenger(taxi, context) {
+        let nearest = null;
+        let nearestDistance = this.settings.chaseRange;
+        context.passengers.forEach(passenger => {
+            if (passenger.state !== Passenger.STATE.WAITING) return;
+            if (passenger.platformId !== taxi.platformId && context.isClaimed(passenger.platformId)) return;
+
+            const distance = Math.hypot(passenger.x - taxi.x, passenger.y - taxi.y);
+            if (distance <= nearestDistance) {
+                nearest = passenger;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    _furthestPlatform(from, platforms) {
+        let furthest = null;
+        let furthestDistance = -1;
+        platforms.forEach(platform => {
+            const distance = Math.hypot(platform.x - from.x, platform.y - from.y);
+            if (distance > furthestDistance) {
+                furthest = platform;
+                furthestDistance = distance;
+            }
+        });
+        return furthest;
+    }
+
+    _nearestPlatform(taxi, platforms) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        platforms.forEach(platform => {
+            const distance = Math.hypot(platform.x + platform.width / 2 - taxi.x, platform.y - taxi.y);
+            if (distance < nearestDistance) {
+                nearest = platform;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Sit still on the pad (hover off saves fuel) until the goal is somewhere else
+    // Passengers only board taxis that landed, so a bot that spawned on its pickup pad hops off and lands again
+    _park(taxi, context) {
+        this._setControls(false, false, false, false, false, true);
+        const mustLand = this.goal && this.goal.reason === 'pickup' && taxi.landedOn !== taxi.platformId;
+        if (!this.goal || (this.goal.platformId === taxi.platformId && !mustLand)) return;
+
+        this.phase = AI_PHASE.TAKEOFF;
+        this.takeoffY = taxi.y;
+        this._takeOff(taxi, context);
+    }
+
+    // Climb clear of the pad before following a path (sideways drift could clip a building)
+    _takeOff(taxi, context) {
+        this.controls.landingGear = true;
+        this._steer(taxi, 0, -this.settings.cruiseSpeed);
+
+        if (taxi.y <= this.takeoffY - APPROACH_HEIGHT) {
+            this.controls.landingGear = false;
+            this._planPath(taxi, context);
+        }
+    }
+
+    // Follow the waypoints, slowing down for the last one
+    _cruise(taxi, context) {
+        if (!this.goal) {
+            this._steer(taxi, 0, 0);
+            return;
+        }
+
+        // Refresh the path now and then (drift) and whenever the goal changes
+        const approach = this._approachPoint(taxi, context);
+        if (!this.path || this.replanTimer <= 0 ||
+            this.pathTarget.x !== approach.x || this.pathTarget.y !== approach.y) {
+            this._planPath(taxi, context);
+            if (!this.path) return;
+        }
+
+        const centreY = taxi.y + context.physics.taxiHeight / 2;
+        let waypoint = this.path[this.waypointIndex];
+        while (this.waypointIndex < this.path.length - 1 &&
+            Math.hypot(waypoint.x - taxi.x, waypoint.y - centreY) < WAYPOINT_RADIUS) {
+            waypoint = this.path[++this.waypointIndex];
+        }
+
+        const dx = waypoint.x - taxi.x;
+        const dy = waypoint.y - centreY;
+        const distance = Math.hypot(dx, dy);
+        const isLast = this.waypointIndex === this.path.length - 1;
+        if (isLast && distance < this.settings.landingTolerance * 2) {
+            this.phase = AI_PHASE.LANDING;
+            this._land(taxi, context);
+            return;
+        }
+
+        // Brake in time for the last waypoint: v = sqrt(2 * a * d)
+        const speed = isLast ? Math.min(this.settings.cruiseSpeed, Math.sqrt(2 * BRAKING * distance)) : this.settings.cruiseSpeed;
+        this._steer(taxi, dx / distance * speed, dy / distance * speed);
+    }
+
+    // Line up over the pad, then descend gear down at the difficulty's touchdown speed
+    _land(taxi, context) {
+        const platform = this._goalPlatform(context);
+        if (!platform) {
+            this.phase = AI_PHASE.CRUISE;
+            return;
+        }
+
+        this.controls.landingGear = true;
+        const dx = platform.x + platform.width / 2 - taxi.x;
+        const lined = Math.abs(dx) <= this.settings.landingTolerance;
+        const maxSideSpeed = 60;
+        this._steer(taxi, Math.max(-maxSideSpeed, Math.min(maxSideSpeed, dx * 2)), lined ? this.settings.descentSpeed : 0);
+
+        // Blown off course (or the goal moved) - fly back to the approach point
+        const approach = this._approachPoint(taxi, context);
+        if (Math.abs(dx) > platform.width || taxi.y + context.physics.taxiHeight / 2 < approach.y - APPROACH_HEIGHT) {
+            this.phase = AI_PHASE.CRUISE;
+            this.path = null;
+        }
+    }
+
+    // Path from the taxi to the point above the goal platform (goal dropped if unreachable)
+    _planPath(taxi, context) {
+        const approach = this._approachPoint(taxi, context);
+        this.replanTimer = REPLAN_INTERVAL;
+        this.waypointIndex = 0;
+        this.pathTarget = approach;
+        this.path = approach
+            ? context.pathFinder.findPath(taxi.x, taxi.y + context.physics.taxiHeight / 2, approach.x, approach.y)
+            : null;
+        this.phase = this.path ? AI_PHASE.CRUISE : AI_PHASE.TAKEOFF;
+        if (!this.path) {
+            this.goal = null;
+            this._steer(taxi, 0, 0);
+        }
+    }
+
+    // Taxi centre position hovering over the middle of the goal platform
+    _approachPoint(taxi, context) {
+        const platform = this._goalPlatform(context);
+        if (!platform) return null;
+        return {
+            x: platform.x + platform.width / 2,
+            y: platform.y - context.physics.taxiHeight / 2 - APPROACH_HEIGHT
+        };
+    }
+
+    _goalPlatform(context) {
+        return this.goal ? this._findPlatform(context, this.goal.platformId) : null;
+    }
+
+    _findPlatform(context, platformId) {
+        return context.platforms.find(platform => platform.id === platformId) || null;
+    }
+
+    // Fire thrusters (in hover mode) to move towards the desired velocity
+    _steer(taxi, desiredVx, desiredVy) {
+        this._setControls(
+            taxi.vy > desiredVy + STEERING_DEADBAND,
+            taxi.vx > desiredVx + STEERING_DEADBAND,
+            taxi.vy < desiredVy - STEERING_DEADBAND,
+            taxi.vx < desiredVx - STEERING_DEADBAND,
+            true,
+            this.controls.landingGear
+        );
+    }
+
+    _setControls(w, a, s, d, hover, landingGear) {
+        this.controls = { w, a, s, d, hover, landingGear };
+    }
+
+    // Wrecked - start over once respawned
+    _reset() {
+        this.phase = AI_PHASE.PARKED;
+        this.goal = null;
+        this.path = null;
+        this._setControls(false, false, false, false, false, true);
+    }
+}
+
+AIController.DIFFICULTY = AI_DIFFICULTY;
+AIController.PHASE = AI_PHASE;
+
+module.exports = AIController;
@@ -1,23 +1,49 @@
 // Game Initializer - Initializes all game server components
 // This is the single entry point for game server setup
 
-const GameServer = require('./game-server');
+const RoomManager = require('./room-manager-server');
 const MessageHandler = require('./message-handler-server');
 const GameWebSocket = require('./game-websocket-server');
+const ReplayPlayer = require('./replay-player-server');
 
 class GameInitializer {
     constructor(fastify) {
         this.fastify = fastify;
         
         // Initialize game server components in order
-        this.gameServer = new GameServer();
-        this.messageHandler = new MessageHandler(this.gameServer);
-        
-        // Give game server access to message handler for sending messages
-        this.gameServer.setMessageHandler(this.messageHandler);
+        // Each room gets its own GameServer; the message handler hooks them up as rooms open
+        this.roomManager = new RoomManager();
+        this.messageHandler = new MessageHandler(this.roomManager);
         
         // Initialize WebSocket handler with game server components
         this.gameWebSocket = new GameWebSocket(fastify, this.messageHandler);
+        
+        // Expose server health for monitoring
+        this._setupRoutes();
+        
+        // Shutting down ends every game, so their replays are saved before the server goes
+        fastify.addHook('onClose', async () => {
+            await this.roomManager.closeAllRooms();
+        });
+    }
+    
+    // GET /stats - every open room with its player and spectator counts and game loop timing (see GameLoop.getStats)
+    // GET /replays - recorded games the replay viewer can play (file names, newest first)
+    _setupRoutes() {
+        this.fastify.get('/stats', async () => {
+            return {
+                rooms: this.roomManager.getAllRooms().map(room => ({
+                    code: room.code,
+                    players: room.playerIds.size,
+                    spectators: room.spectatorIds.size,
+                    loop: room.gameServer.getLoopStats()
+                }))
+            };
+        });
+        
+        this.fastify.get('/replays', async () => {
+            return { replays: await ReplayPlayer.list() };
+        });
     }
 }
 
@@ -1,24 +1,76 @@
 // Server-Side Game Loop - Runs physics and game logic updates
 // This runs at a fixed rate (e.g., 20-60 Hz) independent of client rendering
+//
+// Every tick simulates exactly 1/updateRate seconds, however late the timer fires: a wall-clock
+// accumulator decides how many ticks are due, so event-loop load changes when ticks run but never
+// what they compute. With the game's seeded random (GameState.random) the same inputs always
+// produce the same states.
+
+const LevelCollision = require('../shared/level-collision-shared');
+const PassengerSystem = require('./passenger-system-server');
+const RefuelSystem = require('./refuel-system-server');
+const AIController = require('./ai-controller-server');
+const PathFinder = require('./path-finder-server');
 
 class GameLoop {
-    constructor(gameState, updateRate = 20) {
+    // options: { passengers, refuel } - PassengerSystem and RefuelSystem configuration
+    //          { continueSeconds } - how long a player may continue after losing the last life
+    //          { maxCatchUpTicks } - most ticks run back to back when the loop falls behind
+    constructor(gameState, updateRate = 20, options = {}) {
         this.gameState = gameState;
         this.updateRate = updateRate; // Updates per second
         this.updateInterval = 1000 / updateRate; // Milliseconds per update
+        this.tickSeconds = 1 / updateRate; // Simulated time per tick (the same for every tick)
         this.isRunning = false;
         this.intervalId = null;
         this.lastUpdateTime = null;
         
+        // Wall-clock time owed to the simulation; whole ticks are run as it fills up
+        this.accumulator = 0;
+        this.maxCatchUpTicks = options.maxCatchUpTicks || 5; // Like the client's maxFrameSkip
+        
+        // Timing statistics (see getStats)
+        this.stats = {
+            lastTickDuration: 0,    // Milliseconds the latest tick took to simulate
+            averageTickDuration: 0, // Smoothed milliseconds per tick
+            maxTickDuration: 0,     // Slowest tick so far
+            overruns: 0,            // Ticks that took longer to simulate than the tick interval
+            catchUpTicks: 0,        // Extra ticks run back to back after the timer fired late
+            droppedTicks: 0         // Ticks skipped because the loop was too far behind to catch up
+        };
+        
+        // Physics runs in fixed sub-steps (FlightPhysics fixedStep) so it matches the client
+        this.physicsAccumulator = 0;
+        this.maxPhysicsSteps = 10; // Cap sub-steps per tick to avoid a spiral of death
+        
+        // Crashed taxis sit as wrecks for a while before respawning on a platform
+        this.crashRespawnDelay = 3; // Seconds
+        this.continueSeconds = options.continueSeconds || 10; // Continue countdown after game over
+        
         // Callbacks for state updates
         this.onUpdateCallbacks = [];
+        this.onTaxiEventCallbacks = [];
+        
+        // Passengers hail, board and pay; their events are reported like taxi events
+        this.passengerSystem = new PassengerSystem(gameState, options.passengers);
+        this.passengerSystem.onEvent((taxi, event) => this._emitTaxiEvent(taxi, event));
+        
+        // Taxis parked on fuel pads buy fuel with their cash
+        this.refuelSystem = new RefuelSystem(gameState, options.refuel);
+        this.refuelSystem.onEvent((taxi, event) => this._emitTaxiEvent(taxi, event));
+        
+        // AI taxis are flown by controllers (created on demand for each AI player)
+        this.aiControllers = new Map(); // aiPlayerId -> AIController
+        this.pathFinder = null; // Built from the level on first use
     }
     
     // Start the game loop
     start() {
         if (this.isRunning) return;
         this.isRunning = true;
-        this.lastUpdateTime = Date.now();
+        this.lastUpdateTime = performance.now();
+        this.accumulator = 0;
+        this.physicsAccumulator = 0;
         
         // Run game loop
         this._tick();
@@ -30,36 +82,80 @@ class GameLoop {
         if (!this.isRunning) return;
         this.isRunning = false;
         if (this.intervalId) {
-            clearInterval(this.intervalId);
+            clearTimeout(this.intervalId);
             this.intervalId = null;
         }
         console.log('Game loop stopped');
     }
     
-    // Main game loop tick
+    // Main game loop tick - runs the ticks that are due, then sleeps until the next one
     _tick() {
         if (!this.isRunning) return;
         
-        const currentTime = Date.now();
-        const deltaTime = (currentTime - this.lastUpdateTime) / 1000; // Convert to seconds
+        const currentTime = performance.now();
+        this.accumulator += currentTime - this.lastUpdateTime;
         this.lastUpdateTime = currentTime;
         
-        // Update game logic
-        this.update(deltaTime);
+        // Run every tick that is due (a late timer means catching up), but only so many at once
+        let ticks = 0;
+        while (this.accumulator >= this.updateInterval && ticks < this.maxCatchUpTicks) {
+            const tickStart = performance.now();
+            this.update(this.tickSeconds);
+            this._recordTickDuration(performance.now() - tickStart);
+            this.accumulator -= this.updateInterval;
+            ticks++;
+        }
+        if (ticks > 1) {
+            this.stats.catchUpTicks += ticks - 1;
+        }
+        
+        // Too far behind to catch up - drop the backlog rather than spiral (the game runs slow for a moment)
+        if (this.accumulator >= this.updateInterval) {
+            const dropped = Math.floor(this.accumulator / this.updateInterval);
+            this.stats.droppedTicks += dropped;
+            this.accumulator -= dropped * this.updateInterval;
+        }
         
-        // Schedule next tick
-        this.intervalId = setTimeout(() => this._tick(), this.updateInterval);
+        // Schedule next tick for when it is due
+        const elapsed = performance.now() - currentTime;
+        this.intervalId = setTimeout(() => this._tick(), Math.max(0, this.updateInterval - this.accumulator - elapsed));
     }
     
-    // Update game logic (called every tick)
+    // Timing statistics: tick rate, ticks simulated and how long they took (ms), plus overruns,
+    // catch-up ticks and dropped ticks (see constructor)
+    getStats() {
+        return Object.assign({
+            tickRate: this.updateRate,
+            tickInterval: this.updateInterval,
+            tick: this.gameState.tick
+        }, this.stats);
+    }
+    
+    _recordTickDuration(duration) {
+        const stats = this.stats;
+        stats.lastTickDuration = duration;
+        stats.averageTickDuration = stats.averageTickDuration === 0 ? duration : stats.averageTickDuration + (duration - stats.averageTickDuration) * 0.05;
+        stats.maxTickDuration = Math.max(stats.maxTickDuration, duration);
+        if (duration > this.updateInterval) {
+            stats.overruns++;
+        }
+    }
+    
+    // Update game logic (called every tick with the fixed tick length)
     update(deltaTime) {
+        this.gameState.tick++;
+        
         // Update world state
         if (this.gameState.world) {
             this.gameState.world.update(deltaTime);
         }
         
-        // TODO: Update physics, entities, collisions, etc.
-        // TODO: Update player positions, AI player positions, projectiles, etc.
+        // Step taxi physics in fixed sub-steps
+        this._updatePhysics(deltaTime);
+        
+        // Pickups and deliveries (after physics so they see this tick's landings)
+        this.passengerSystem.update(deltaTime);
+        this.refuelSystem.update(deltaTime);
         
         // Notify callbacks of update
         this.onUpdateCallbacks.forEach(callback => {
@@ -67,10 +163,143 @@ class GameLoop {
         });
     }
     
+    // Run as many fixed physics steps as the elapsed time allows
+    _updatePhysics(deltaTime) {
+        const world = this.gameState.world;
+        if (!world || !world.physics) return;
+        
+        const physics = world.physics;
+        this.physicsAccumulator += deltaTime;
+        
+        let steps = 0;
+        while (this.physicsAccumulator >= physics.fixedStep && steps < this.maxPhysicsSteps) {
+            this._stepTaxis(physics, physics.fixedStep);
+            this.physicsAccumulator -= physics.fixedStep;
+            steps++;
+        }
+        
+        // Drop time we could not catch up on
+        if (steps === this.maxPhysicsSteps) {
+            this.physicsAccumulator = 0;
+        }
+    }
+    
+    // Step every player and AI player taxi once through the shared flight model and level collision
+    _stepTaxis(physics, stepSeconds) {
+        const world = this.gameState.world;
+        
+        // Each step consumes one queued input frame per player (clients send one per step)
+        this.gameState.getAllPlayers().forEach(player => player.consumeInput());
+        this._driveAIPlayers(physics, stepSeconds);
+        
+        this.gameState.getAllTaxis().forEach(taxi => {
+            if (taxi.gameOver) {
+                // Wreck stays put while the continue countdown runs; the game ends when it runs out
+                if (taxi.continueTimer > 0) {
+                    taxi.continueTimer -= stepSeconds;
+                    if (taxi.continueTimer <= 0) {
+                        this._emitTaxiEvent(taxi, { type: 'game-ended' });
+                    }
+                }
+                return;
+            }
+            if (taxi.crashed) {
+                taxi.respawnTimer -= stepSeconds;
+                if (taxi.respawnTimer <= 0) {
+                    this.respawnTaxi(taxi);
+                }
+                return;
+            }
+            
+            const hadFuel = taxi.fuel > 0;
+            const event = LevelCollision.stepTaxi(taxi, taxi.input, physics, stepSeconds, world.bounds, world.collisionMap);
+            if (hadFuel && taxi.fuel <= 0) {
+                this._emitTaxiEvent(taxi, { type: 'out-of-fuel' });
+            }
+            
+            // Remember landings until takeoff - passengers only board taxis that landed on their platform
+            if (event && event.type === 'landed') {
+                taxi.landedOn = event.platformId;
+            } else if (!taxi.onGround) {
+                taxi.landedOn = 0;
+            }
+            if (!event) return;
+            
+            let isGameOver = false;
+            if (event.type === 'crashed') {
+                taxi.respawnTimer = this.crashRespawnDelay;
+                
+                // Player taxis cost a life per crash (AI taxis have unlimited lives)
+                if (taxi.loseLife) {
+                    isGameOver = taxi.loseLife(this.continueSeconds);
+                    event.lives = taxi.lives;
+                }
+            }
+            this._emitTaxiEvent(taxi, event);
+            this.passengerSystem.handleTaxiEvent(taxi, event);
+            if (isGameOver) {
+                this._emitTaxiEvent(taxi, { type: 'game-over', continueSeconds: this.continueSeconds });
+            }
+        });
+    }
+    
+    // Let each AI controller pick its taxi's thrusters, hover mode and gear for this step
+    _driveAIPlayers(physics, stepSeconds) {
+        const world = this.gameState.world;
+        const aiPlayers = this.gameState.getAllAIPlayers();
+        
+        // Forget controllers of AI players that left
+        this.aiControllers.forEach((controller, aiPlayerId) => {
+            if (!this.gameState.getAIPlayer(aiPlayerId)) this.aiControllers.delete(aiPlayerId);
+        });
+        if (aiPlayers.length === 0 || !world.collisionMap) return;
+        
+        if (!this.pathFinder) {
+            this.pathFinder = new PathFinder(world.collisionMap, physics, world.bounds);
+        }
+        
+        const passengers = this.gameState.getAllPassengers();
+        aiPlayers.forEach(aiPlayer => {
+            let controller = this.aiControllers.get(aiPlayer.id);
+            if (!controller) {
+                controller = new AIController(aiPlayer.difficulty);
+                this.aiControllers.set(aiPlayer.id, controller);
+            }
+            
+            controller.update(aiPlayer, stepSeconds, {
+                physics: physics,
+                pathFinder: this.pathFinder,
+                platforms: world.collisionMap.platforms,
+                passengers: passengers,
+                passenger: this.passengerSystem.getPassengerInTaxi(aiPlayer),
+                isClaimed: platformId => Array.from(this.aiControllers.entries()).some(([otherId, other]) =>
+                    otherId !== aiPlayer.id && other.isChasingPassenger() && other.getGoalPlatformId() === platformId)
+            });
+        });
+    }
+    
+    // Park a taxi on the next spawn platform
+    respawnTaxi(taxi) {
+        const world = this.gameState.world;
+        const spawnPoint = world.nextSpawnPoint(world.physics.taxiHeight);
+        taxi.respawnAt(spawnPoint, world.physics.fuelCapacity);
+        this._emitTaxiEvent(taxi, { type: 'respawned', platformId: spawnPoint.platformId });
+    }
+    
     // Register callback for game updates
     onUpdate(callback) {
         this.onUpdateCallbacks.push(callback);
     }
+    
+    // Register callback for taxi events
+    // (landed, crashed, respawned, out-of-fuel, refuelled, passenger-*, game-over, game-ended)
+    onTaxiEvent(callback) {
+        this.onTaxiEventCallbacks.push(callback);
+    }
+    
+    _emitTaxiEvent(taxi, event) {
+        this.onTaxiEventCallbacks.forEach(callback => callback(taxi, event));
+    }
 }
 
 module.exports = GameLoop;
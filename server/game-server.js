@@ -3,13 +3,112 @@
 
 const GameState = require('./game-state-server');
 const GameLoop = require('./game-loop-server');
+const Player = require('../models/player');
+const AIPlayer = require('../models/ai-player');
+const TmxLoader = require('./tmx-loader-server');
+const ReplayRecorder = require('./replay-recorder-server');
+const GameProtocol = require('../shared/game-protocol-shared');
+const path = require('path');
+
+// Static asset root (level image sources are resolved relative to it for clients)
+const ASSET_ROOT = path.join(__dirname, '..', 'public');
 
 // Game world configuration - canonical dimensions (server-authoritative)
 // These define the game world bounds that all clients must respect
+// When a level is configured, the world takes its dimensions from the level instead
 const GAME_WORLD_CONFIG = {
     width: 1680,   // Game world width in pixels/game units
     height: 1050,  // Game world height in pixels/game units
-    gravity: 9.81  // Gravity in m/s²
+    gravity: 9.81, // Gravity in m/s²
+    level: 'assets/flying-taxi-world.tmx' // TMX level (relative to ASSET_ROOT, null = empty world)
+};
+
+// Network configuration - how often the server simulates and sends snapshots (server-authoritative),
+// and how it notices clients that have silently gone away
+const GAME_NETWORK_CONFIG = {
+    tickRate: 20,             // Game loop ticks (and GAME_STATE snapshots) per second
+    heartbeatInterval: 1000,  // Milliseconds between PINGs to each client
+    maxMissedHeartbeats: 5    // PINGs left unanswered in a row before the connection is closed
+};
+
+// Simulation configuration - fixed-step loop and seeded randomness (server-authoritative)
+// A game started with the same seed and fed the same inputs plays out exactly the same
+const GAME_SIMULATION_CONFIG = {
+    seed: process.env.SIMULATION_SEED ? Number(process.env.SIMULATION_SEED) : null, // null = fresh seed per game
+    maxCatchUpTicks: 5  // Most ticks run back to back when the loop falls behind (then time is dropped)
+};
+
+// Simulation version - bump whenever a change makes the same seed and inputs play out differently
+// (flight model, collisions, passengers, AI, ...); replays recorded by another version are refused
+const SIMULATION_VERSION = 1;
+
+// Flight physics configuration - shared flight model tuning (server-authoritative)
+// Values not listed here fall back to FlightPhysics.DEFAULT_CONFIG
+const GAME_PHYSICS_CONFIG = {
+    pixelsPerMeter: 100,        // Scale: pixels per meter
+    thrusterForce: 1500,        // Thruster force in pixels/s²
+    regularFlightThrust: 500,   // Constant upward thrust in regular flight mode
+    hoverThrust: null,          // null = auto-calculate to match gravity
+    hoverDamping: 800,          // Hover damping force in pixels/s²
+    fuelCapacity: 100,          // Full tank in fuel units
+    thrusterBurnRate: 4,        // Fuel units per second for each firing thruster
+    hoverBurnRate: 2            // Fuel units per second in hover mode
+};
+
+// Passenger configuration - pickups, fares and tips (server-authoritative)
+// Values not listed here fall back to PassengerSystem.DEFAULT_CONFIG
+const GAME_PASSENGER_CONFIG = {
+    maxWaiting: 2,          // Passengers waiting on platforms at once
+    spawnInterval: 4,       // Seconds between spawns
+    baseFare: 10,           // Fare for any trip
+    maxTip: 20,             // Tip for an instant, smooth delivery
+    tipDecayPerSecond: 1    // Tip lost per second of ride time
+};
+
+// Refuelling configuration - fuel pad pump rate and default price (server-authoritative)
+// Tank size and burn rates are part of GAME_PHYSICS_CONFIG / FlightPhysics.DEFAULT_CONFIG
+const GAME_REFUEL_CONFIG = {
+    refuelRate: 25,   // Fuel units pumped per second
+    fuelPrice: 0.2    // Cash per fuel unit (pads can override with a fuelPrice property)
+};
+
+// Lives configuration - how many taxis a credit buys and how long to continue (server-authoritative)
+// Credits for continuing are counted here too: the client reports coins (INSERT_COIN), the server spends them
+const GAME_LIVES_CONFIG = {
+    livesPerCredit: 3,    // Taxis per credit spent
+    continueSeconds: 10,  // Countdown to insert a coin after losing the last taxi
+    maxCredits: 99        // Most credits a player can hold
+};
+
+// AI taxi configuration - bots flown by the server (see server/ai-controller-server.js)
+const GAME_AI_CONFIG = {
+    botCount: 2,          // AI taxis in the game
+    difficulty: 'normal'  // easy, normal or hard (AIController.DIFFICULTY)
+};
+
+// Session configuration - how long a dropped player's taxi waits for them (server-authoritative)
+// Reconnecting with the session token from the SESSION message resumes the same player
+const GAME_SESSION_CONFIG = {
+    graceSeconds: 30  // Seconds a disconnected player keeps their taxi, cash and lives
+};
+
+// Replay configuration - every game is recorded to disk for the replay viewer (see ReplayRecorder)
+const GAME_REPLAY_CONFIG = {
+    record: true,              // Record games (files go to ReplayRecorder.DEFAULT_CONFIG.directory)
+    maxTicks: 20 * 60 * 30,    // Longest recording in ticks (30 minutes at 20 Hz) - the rest of a game is not kept
+    checkpointTicks: 20 * 30   // Save the replay this often while the game runs (30 seconds at 20 Hz)
+};
+
+// Commands - every change made to a game from outside its loop (see _applyCommand)
+// Recorded with the tick they arrived after, so a replay can apply them at the same point
+const COMMAND = {
+    JOIN: 'join',             // A new player's taxi enters the game
+    INPUT: 'input',           // A PLAYER_INPUT frame ({ sequence, clientTick, buttons }) to queue
+    CONTINUE: 'continue',     // The player spends a credit on the game over screen
+    COIN: 'coin',             // The player inserted coins ({ coins }) - credits to continue with
+    DISCONNECT: 'disconnect', // The player's connection dropped (the taxi waits for them)
+    RESUME: 'resume',         // The player came back on a new connection
+    LEAVE: 'leave'            // The player's taxi leaves the game for good
 };
 
 class GameServer {
@@ -19,42 +118,84 @@ class GameServer {
         this.gameLoop = null;
         this.isRunning = false;
         this.messageHandler = null; // Reference to message handler for sending messages
+        this.roomCode = null; // Room this game runs in (see RoomManager)
+        this.settings = null; // Everything the simulation depends on (see _createSettings)
+        this.replayRecorder = null; // Records commands for the replay (live games only)
         
         // Ping mechanism
         this.pingInterval = null;
-        this.pingIntervalMs = 1000; // Send ping every 1 second
+        this.pingIntervalMs = GAME_NETWORK_CONFIG.heartbeatInterval;
+        
+        // Players who dropped and may still resume (playerId -> removal timeout)
+        this.disconnectTimers = new Map();
         
         // Event emitters for state changes (to be connected to message handler)
         this.onStateUpdateCallbacks = [];
         this.onPlayerEventCallbacks = [];
+        this.onPlayerLeftCallbacks = [];
     }
     
-    // Set message handler reference (called from index.js)
-    setMessageHandler(messageHandler) {
+    // Set message handler reference and the room whose clients this game talks to
+    setMessageHandler(messageHandler, roomCode = null) {
         this.messageHandler = messageHandler;
+        this.roomCode = roomCode;
     }
     
     // Initialize game server
-    initialize() {
+    // A replay passes the settings it was recorded with (see ReplayPlayer); a live game uses the
+    // configuration above and is recorded
+    initialize(settings = null) {
         // Only initialize if not already initialized
         if (this.gameState) {
             console.log('Game server already initialized');
             return;
         }
         
-        // Initialize game state with world dimensions
+        // Initialize game state with world dimensions, flight physics and level
+        this.settings = Object.assign({}, settings || this._createSettings());
         this.gameState = new GameState();
-        this.gameState.initialize(GAME_WORLD_CONFIG);
+        this.gameState.initialize(this.settings.world, this.settings.physics, this.settings.level, this.settings.seed);
+        this.settings.seed = this.gameState.random.seed; // The seed actually used, fresh or not
+        
+        // Initialize game loop with game state at the configured tick rate
+        this.gameLoop = new GameLoop(this.gameState, this.settings.tickRate, {
+            passengers: this.settings.passengers,
+            refuel: this.settings.refuel,
+            continueSeconds: this.settings.lives.continueSeconds,
+            maxCatchUpTicks: GAME_SIMULATION_CONFIG.maxCatchUpTicks
+        });
         
-        // Initialize game loop with game state
-        this.gameLoop = new GameLoop(this.gameState, 20); // 20 Hz update rate
+        if (!settings && GAME_REPLAY_CONFIG.record) {
+            this.replayRecorder = new ReplayRecorder({
+                roomCode: this.roomCode,
+                simulationVersion: SIMULATION_VERSION,
+                settings: this.settings
+            }, { maxTicks: GAME_REPLAY_CONFIG.maxTicks });
+        }
         
         // Register game loop to emit state updates
         this.gameLoop.onUpdate((deltaTime, stateSnapshot) => {
             this._emitStateUpdate(stateSnapshot);
+            this._checkpointReplay();
+        });
+        
+        // Landings, crashes, respawns and passenger pickups of player taxis become player events
+        this.gameLoop.onTaxiEvent((taxi, event) => {
+            if (this.gameState.getPlayer(taxi.id) === taxi) {
+                this._emitPlayerEvent(taxi.id, Object.assign({ tick: this.gameState.tick }, event));
+                
+                // Continue countdown ran out - the player's game is over for good
+                if (event.type === 'game-ended') {
+                    this._removePlayer(taxi.id);
+                }
+            }
         });
         
-        console.log(`Game server initialized with world dimensions: ${GAME_WORLD_CONFIG.width}x${GAME_WORLD_CONFIG.height}`);
+        // Bots fly from the start, whether or not anyone has joined yet
+        this._addAIPlayers();
+        
+        const world = this.gameState.world;
+        console.log(`Game server initialized with world dimensions: ${world.width}x${world.height}`);
     }
     
     // Start the game server
@@ -73,76 +214,182 @@ class GameServer {
     }
     
     // Stop the game server
+    // Returns a promise for the replay's final save (the file path, or null if nothing was written)
     stop() {
-        if (!this.isRunning) return;
+        if (!this.isRunning) return Promise.resolve(null);
         this.isRunning = false;
         
         // Stop ping mechanism
         this._stopPing();
         
+        // Nobody is left to resume
+        this.disconnectTimers.forEach(timer => clearTimeout(timer));
+        this.disconnectTimers.clear();
+        
         if (this.gameLoop) {
             this.gameLoop.stop();
         }
         
+        // The game is over - write its replay
+        let saved = Promise.resolve(null);
+        if (this.replayRecorder) {
+            saved = this.replayRecorder.save(this.gameState.tick);
+            this.replayRecorder = null;
+        }
+        
         console.log('Game server stopped');
+        return saved;
+    }
+    
+    // Get session configuration (for telling clients how long they have to reconnect)
+    getSessionConfig() {
+        return Object.assign({}, GAME_SESSION_CONFIG);
     }
     
     // Get world configuration (for sending to clients on connection)
     getWorldConfig() {
+        const world = this.gameState ? this.gameState.world : null;
         return {
-            width: GAME_WORLD_CONFIG.width,
-            height: GAME_WORLD_CONFIG.height,
-            gravity: GAME_WORLD_CONFIG.gravity
+            width: world ? world.width : GAME_WORLD_CONFIG.width,
+            height: world ? world.height : GAME_WORLD_CONFIG.height,
+            gravity: this.settings ? this.settings.world.gravity : GAME_WORLD_CONFIG.gravity
         };
     }
     
-    // Handle player input from client
-    handlePlayerInput(playerId, input) {
-        // TODO: Validate and process player input
-        console.log(`Player ${playerId} input:`, input);
+    // Get the resolved flight model (for sending to clients on connection so prediction matches)
+    getPhysicsConfig() {
+        return this.gameState ? Object.assign({}, this.gameState.world.physics) : null;
     }
     
-    // Handle player connection
-    handlePlayerConnect(playerId, connection) {
-        // TODO: Add player to game state
-        console.log(`Player ${playerId} connected`);
+    // Get game loop tick rate in Hz (for sending to clients on connection)
+    getTickRate() {
+        return this.settings ? this.settings.tickRate : GAME_NETWORK_CONFIG.tickRate;
     }
     
-    // Handle player disconnection
-    handlePlayerDisconnect(playerId) {
-        // TODO: Remove player from game state
-        console.log(`Player ${playerId} disconnected`);
+    // Get game loop timing statistics and the game's seed (null before initialization)
+    getLoopStats() {
+        if (!this.gameLoop) return null;
+        return Object.assign({ seed: this.gameState.random.seed }, this.gameLoop.getStats());
     }
     
-    // Handle start game request from client
-    handleStartGame(playerId) {
-        // Initialize game server if not already initialized
+    // Get level geometry (for sending to clients when they join a game)
+    getLevelData() {
+        return this.gameState ? this.gameState.world.serializeLevel() : null;
+    }
+    
+    // Expand a decoded PLAYER_INPUT body ({ sequence, clientTick, buttons }) into an input frame
+    static parsePlayerInput(body) {
+        const buttons = body.buttons;
+        const BUTTON = GameProtocol.INPUT_BUTTON;
+        return {
+            sequence: body.sequence,
+            clientTick: body.clientTick,
+            buttons: buttons,
+            w: (buttons & BUTTON.W) !== 0,
+            a: (buttons & BUTTON.A) !== 0,
+            s: (buttons & BUTTON.S) !== 0,
+            d: (buttons & BUTTON.D) !== 0,
+            hover: (buttons & BUTTON.HOVER) !== 0,
+            landingGear: (buttons & BUTTON.LANDING_GEAR) !== 0
+        };
+    }
+    
+    // Handle player input from client (a decoded PLAYER_INPUT body)
+    // Input frames are queued on the player and applied one per physics step by the game loop
+    handlePlayerInput(playerId, input) {
+        const player = this.gameState ? this.gameState.getPlayer(playerId) : null;
+        if (!player) {
+            return;
+        }
+        
+        // Checked by MessageHandler's InputValidator (button bits, rate, replays, timing) before it gets here
+        // Only buttons are taken from the client: the game loop decides where they move the taxi
+        this._applyCommand({
+            type: COMMAND.INPUT,
+            playerId: playerId,
+            input: { sequence: input.sequence, clientTick: input.clientTick, buttons: input.buttons }
+        });
+    }
+    
+    // Is the player in the game (connected, or disconnected but still within the grace period)?
+    hasPlayer(playerId) {
+        return !!(this.gameState && this.gameState.getPlayer(playerId));
+    }
+    
+    // Handle player connection - a new player gets a taxi parked on a spawn pad,
+    // a resuming player takes back the taxi they left
+    handlePlayerConnect(playerId, connection) {
+        // Initialize and start the game server on the first connection
         if (!this.gameState) {
             this.initialize();
         }
-        
-        // Start game server if not already running
         if (!this.isRunning) {
             this.start();
         }
         
+        const player = this.gameState.getPlayer(playerId);
+        if (player) {
+            this._resumePlayer(player);
+            return;
+        }
+        
+        this._applyCommand({ type: COMMAND.JOIN, playerId: playerId });
+        console.log(`Player ${playerId} connected`);
+    }
+    
+    // Handle player disconnection
+    // The taxi stays in the game for the grace period so the player can resume it
+    handlePlayerDisconnect(playerId) {
+        // Stopped with the player still connected (the server is shutting down) - the room is gone
+        if (this.gameState && !this.isRunning) return;
+        
+        const player = this.gameState ? this.gameState.getPlayer(playerId) : null;
+        if (!player) {
+            // Already out of the game (stopped or game over) - nothing to wait for
+            this._emitPlayerLeft(playerId);
+            return;
+        }
+        
+        this._applyCommand({ type: COMMAND.DISCONNECT, playerId: playerId });
+        clearTimeout(this.disconnectTimers.get(playerId));
+        this.disconnectTimers.set(playerId, setTimeout(() => {
+            console.log(`Player ${playerId} did not resume within ${GAME_SESSION_CONFIG.graceSeconds}s`);
+            this._removePlayer(playerId);
+        }, GAME_SESSION_CONFIG.graceSeconds * 1000));
+        console.log(`Player ${playerId} disconnected (taxi held for ${GAME_SESSION_CONFIG.graceSeconds}s)`);
+    }
+    
+    // Handle start game request from client
+    // The player's taxi was created when they connected
+    handleStartGame(playerId) {
         console.log(`Game started by player ${playerId}`);
     }
     
+    // Handle continue request from client (game over screen) - refused if the player has no credits
+    handleContinue(playerId) {
+        if (!this.gameState) return;
+        this._applyCommand({ type: COMMAND.CONTINUE, playerId: playerId });
+    }
+    
+    // Handle coins inserted on the client (INSERT_COIN: credits left over from the start screen,
+    // or bought on the game over screen)
+    handleInsertCoin(playerId, coins) {
+        if (!this.gameState || !(coins > 0)) return;
+        this._applyCommand({ type: COMMAND.COIN, playerId: playerId, coins: coins });
+    }
+    
+    // Credits a player has left to continue with (0 if they aren't in the game)
+    getPlayerCredits(playerId) {
+        const player = this.gameState ? this.gameState.getPlayer(playerId) : null;
+        return player ? player.credits : 0;
+    }
+    
     // Handle stop game request from client
+    // Only the player's taxi leaves (for good - there is nothing to resume) and the game keeps
+    // running for the rest of the room (RoomManager stops it when the last player leaves)
     handleStopGame(playerId) {
         console.log(`Player ${playerId} requested to stop game`);
-        
-        // Check if there are any active players left
-        // Note: Currently players aren't tracked in game state yet (TODOs in handlePlayerConnect/Disconnect)
-        // So for now, we'll stop the game server when any player requests to stop
-        // Later, we can make this smarter by checking if there are other players
-        if (this.isRunning) {
-            this.stop();
-            console.log(`Game server stopped gracefully`);
-        } else {
-            console.log(`Game server was not running`);
-        }
+        this._removePlayer(playerId);
     }
     
     // Register callback for state updates (called by game loop)
@@ -155,6 +402,153 @@ class GameServer {
         this.onPlayerEventCallbacks.push(callback);
     }
     
+    // Register callback for players leaving the game for good (callback(playerId))
+    // Fired when a player stops, their game ends or their disconnect grace period runs out
+    onPlayerLeft(callback) {
+        this.onPlayerLeftCallbacks.push(callback);
+    }
+    
+    // Carry out a command on the game (ReplayPlayer feeds recorded commands through here too,
+    // so keep anything that depends on the network or wall-clock time out of it)
+    executeCommand(command) {
+        const playerId = command.playerId;
+        const player = this.gameState.getPlayer(playerId);
+        
+        if (command.type === COMMAND.JOIN) {
+            this._addPlayer(playerId);
+        } else if (command.type === COMMAND.INPUT) {
+            if (player) player.queueInput(GameServer.parsePlayerInput(command.input));
+        } else if (command.type === COMMAND.CONTINUE) {
+            this._continuePlayer(playerId, player);
+        } else if (command.type === COMMAND.COIN) {
+            this._insertCoins(playerId, player, command.coins);
+        } else if (command.type === COMMAND.DISCONNECT) {
+            if (player) player.disconnect();
+        } else if (command.type === COMMAND.RESUME) {
+            if (player) player.reconnect();
+        } else if (command.type === COMMAND.LEAVE) {
+            this.gameState.removePlayer(playerId);
+        } else {
+            console.warn(`Unknown game command "${command.type}" - ignored`);
+        }
+    }
+    
+    // Apply a command from outside the game loop, recording it for the replay
+    // It takes effect before the next tick, which is where a replay applies it again
+    _applyCommand(command) {
+        if (this.replayRecorder) {
+            this.replayRecorder.record(this.gameState.tick, command);
+        }
+        this.executeCommand(command);
+    }
+    
+    // Save the replay every checkpointTicks while the game runs, so a crash (or a room waiting out
+    // a dropped player's grace period) doesn't keep the game off disk until the room closes
+    _checkpointReplay() {
+        const tick = this.gameState.tick;
+        if (!this.replayRecorder || tick % GAME_REPLAY_CONFIG.checkpointTicks !== 0 || tick > GAME_REPLAY_CONFIG.maxTicks) return;
+        this.replayRecorder.save(tick);
+    }
+    
+    // Everything the simulation depends on, from the configuration above - kept with a replay
+    // (level included) so it plays back as recorded even after the configuration or level changes
+    _createSettings() {
+        return {
+            seed: GAME_SIMULATION_CONFIG.seed,
+            tickRate: GAME_NETWORK_CONFIG.tickRate,
+            world: GAME_WORLD_CONFIG,
+            physics: GAME_PHYSICS_CONFIG,
+            passengers: GAME_PASSENGER_CONFIG,
+            refuel: GAME_REFUEL_CONFIG,
+            lives: GAME_LIVES_CONFIG,
+            ai: GAME_AI_CONFIG,
+            level: this._loadLevel()
+        };
+    }
+    
+    // Load the configured TMX level (null if none is configured)
+    _loadLevel() {
+        if (!GAME_WORLD_CONFIG.level) return null;
+        
+        const levelPath = path.join(ASSET_ROOT, GAME_WORLD_CONFIG.level);
+        const level = TmxLoader.loadFile(levelPath, ASSET_ROOT);
+        console.log(`Loaded level "${level.name}": ${level.columns}x${level.rows} tiles, ${level.objectGroups.length} object group(s)`);
+        return level;
+    }
+    
+    // Add a player taxi to the game state (no-op if the player already has one)
+    _addPlayer(playerId) {
+        if (this.gameState.getPlayer(playerId)) return;
+        
+        // Spawn parked on a landing platform
+        const world = this.gameState.world;
+        const player = new Player(playerId, { lives: this.settings.lives.livesPerCredit });
+        player.respawnAt(world.nextSpawnPoint(world.physics.taxiHeight), world.physics.fuelCapacity);
+        this.gameState.addPlayer(playerId, player);
+    }
+    
+    // Add the configured number of AI taxis, parked on spawn platforms
+    _addAIPlayers() {
+        const world = this.gameState.world;
+        for (let i = 0; i < this.settings.ai.botCount; i++) {
+            const aiPlayerId = `ai-${i + 1}`;
+            const aiPlayer = new AIPlayer(aiPlayerId, { difficulty: this.settings.ai.difficulty });
+            aiPlayer.respawnAt(world.nextSpawnPoint(world.physics.taxiHeight), world.physics.fuelCapacity);
+            this.gameState.addAIPlayer(aiPlayerId, aiPlayer);
+        }
+    }
+    
+    // Give a player back their taxi after a reconnect
+    _resumePlayer(player) {
+        clearTimeout(this.disconnectTimers.get(player.id));
+        this.disconnectTimers.delete(player.id);
+        this._applyCommand({ type: COMMAND.RESUME, playerId: player.id });
+        console.log(`Player ${player.id} resumed`);
+        
+        // A reloaded client knows nothing of a game over countdown in progress
+        if (player.gameOver) {
+            this._emitPlayerEvent(player.id, { tick: this.gameState.tick, type: 'game-over', continueSeconds: player.continueTimer });
+        }
+    }
+    
+    // Spend a credit for a player in a game over countdown: a fresh set of taxis, back on a spawn pad
+    _continuePlayer(playerId, player) {
+        if (!player || !player.gameOver || player.continueTimer <= 0) {
+            console.log(`Player ${playerId} cannot continue (not in a game over countdown)`);
+            return;
+        }
+        if (player.credits <= 0) {
+            // The client thought it had one - tell it how many it really has
+            console.log(`Player ${playerId} cannot continue (no credits)`);
+            this._emitPlayerEvent(playerId, { tick: this.gameState.tick, type: 'credits', credits: player.credits });
+            return;
+        }
+        
+        player.continueGame(this.settings.lives.livesPerCredit);
+        this.gameLoop.respawnTaxi(player);
+        this._emitPlayerEvent(playerId, { tick: this.gameState.tick, type: 'continued', lives: player.lives, credits: player.credits });
+        console.log(`Player ${playerId} continued with ${player.lives} lives (${player.credits} credits left)`);
+    }
+    
+    // Credit a player with inserted coins and report their new count
+    _insertCoins(playerId, player, coins) {
+        if (!player) return;
+        
+        player.insertCoins(coins, this.settings.lives.maxCredits);
+        this._emitPlayerEvent(playerId, { tick: this.gameState.tick, type: 'credits', credits: player.credits });
+        console.log(`Player ${playerId} inserted ${coins} coin(s) - ${player.credits} credits`);
+    }
+    
+    // Remove a player taxi from the game state
+    _removePlayer(playerId) {
+        clearTimeout(this.disconnectTimers.get(playerId));
+        this.disconnectTimers.delete(playerId);
+        if (this.gameState) {
+            this._applyCommand({ type: COMMAND.LEAVE, playerId: playerId });
+        }
+        this._emitPlayerLeft(playerId);
+    }
+    
     // Emit state update to all registered callbacks
     _emitStateUpdate(state) {
         this.onStateUpdateCallbacks.forEach(callback => callback(state));
@@ -165,6 +559,11 @@ class GameServer {
         this.onPlayerEventCallbacks.forEach(callback => callback(playerId, event));
     }
     
+    // Emit player left to all registered callbacks
+    _emitPlayerLeft(playerId) {
+        this.onPlayerLeftCallbacks.forEach(callback => callback(playerId));
+    }
+    
     // Start ping mechanism - sends ping to all connected players
     _startPing() {
         if (this.pingInterval) {
@@ -173,10 +572,9 @@ class GameServer {
         
         this.pingInterval = setInterval(() => {
             if (this.messageHandler && this.isRunning) {
-                // Send ping to all connected players via message handler
-                // Using numeric value 1 for PING to avoid circular dependency
-                const pingPayload = Buffer.allocUnsafe(0);
-                this.messageHandler.broadcast(1, pingPayload); // 1 = MESSAGE_TYPE.PING
+                // Send timestamped pings to the players in this room via message handler
+                // (connections that stopped answering are closed and their players disconnected)
+                this.messageHandler.sendPings(this.roomCode, GAME_NETWORK_CONFIG.maxMissedHeartbeats);
             }
         }, this.pingIntervalMs);
         
@@ -194,4 +592,7 @@ class GameServer {
 }
 
 
+GameServer.SIMULATION_VERSION = SIMULATION_VERSION;
+GameServer.COMMAND = COMMAND;
+
 module.exports = GameServer;
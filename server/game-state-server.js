@@ -2,33 +2,49 @@
 // This is the authoritative data store for the game
 
 const GameWorld = require('../models/game-world');
+const FlightPhysics = require('../shared/flight-physics-shared');
+const SeededRandom = require('./seeded-random-server');
 
 class GameState {
     constructor() {
         this.players = new Map(); // playerId -> player data
         this.aiPlayers = new Map(); // aiPlayerId -> AI player data
         this.projectiles = new Map(); // projectileId -> projectile data
+        this.passengers = new Map(); // passengerId -> passenger data
         this.world = null; // World/level state
+        this.tick = 0; // Simulation tick number (advanced by the game loop)
+        this.random = new SeededRandom(); // All simulation randomness (reseeded by initialize)
+        this.nextNetId = 1; // Next compact network id for snapshot entities
     }
     
-    // Initialize game state with world configuration
-    initialize(worldConfig) {
+    // Initialize game state with world and flight physics configuration
+    // If level data is given (see TmxLoader), the world takes its size and geometry from it
+    // The same seed (and the same inputs) reproduces the same game; a fresh one is picked if none is given
+    initialize(worldConfig, physicsConfig = {}, level = null, seed = null) {
+        this.random = new SeededRandom(seed === null ? SeededRandom.createSeed() : seed);
+        
         // Initialize game world with server-authoritative dimensions
         this.world = new GameWorld();
-        this.world.initialize(worldConfig.width, worldConfig.height);
+        if (level) {
+            this.world.initializeFromLevel(level);
+        } else {
+            this.world.initialize(worldConfig.width, worldConfig.height);
+        }
         this.world.gravity = worldConfig.gravity;
+        this.world.physics = FlightPhysics.createConfig(
+            Object.assign({}, physicsConfig, { gravity: worldConfig.gravity })
+        );
         
-        console.log(`Game state initialized with world: ${worldConfig.width}x${worldConfig.height}`);
+        console.log(`Game state initialized with world: ${this.world.width}x${this.world.height} (seed ${this.random.seed})`);
     }
     
     // Player management
     addPlayer(playerId, playerData) {
-        // TODO: Add player to state
+        this._assignNetId(playerData);
         this.players.set(playerId, playerData);
     }
     
     removePlayer(playerId) {
-        // TODO: Remove player from state
         this.players.delete(playerId);
     }
     
@@ -42,12 +58,11 @@ class GameState {
     
     // AI Player management
     addAIPlayer(aiPlayerId, aiPlayerData) {
-        // TODO: Add AI player to state
+        this._assignNetId(aiPlayerData);
         this.aiPlayers.set(aiPlayerId, aiPlayerData);
     }
     
     removeAIPlayer(aiPlayerId) {
-        // TODO: Remove AI player from state
         this.aiPlayers.delete(aiPlayerId);
     }
     
@@ -59,21 +74,47 @@ class GameState {
         return Array.from(this.aiPlayers.values());
     }
     
+    // Passenger management
+    addPassenger(passengerId, passengerData) {
+        this._assignNetId(passengerData);
+        this.passengers.set(passengerId, passengerData);
+    }
+    
+    removePassenger(passengerId) {
+        this.passengers.delete(passengerId);
+    }
+    
+    getPassenger(passengerId) {
+        return this.passengers.get(passengerId);
+    }
+    
+    getAllPassengers() {
+        return Array.from(this.passengers.values());
+    }
+    
+    // All taxis flown by the simulation (players and AI players)
+    getAllTaxis() {
+        return this.getAllPlayers().concat(this.getAllAIPlayers());
+    }
+    
     // Get snapshot of current game state (for sending to clients)
     getStateSnapshot() {
         // Create serializable snapshot of current state
         return {
+            tick: this.tick,
             players: this.getAllPlayers().map(p => p.serialize ? p.serialize() : p),
             aiPlayers: this.getAllAIPlayers().map(ai => ai.serialize ? ai.serialize() : ai),
             projectiles: Array.from(this.projectiles.values()),
+            passengers: this.getAllPassengers().map(passenger => passenger.serialize()),
             world: this.world ? this.world.serialize() : null
         };
     }
     
-    // Update entity position
-    updateEntityPosition(entityId, x, y, vx, vy) {
-        // TODO: Update entity position in state
-        // This will be called by game loop
+    // Give an entity a compact network id for snapshots (Uint16, never 0)
+    _assignNetId(entity) {
+        if (entity.netId) return;
+        entity.netId = this.nextNetId;
+        this.nextNetId = (this.nextNetId % 0xffff) + 1;
     }
 }
 
@@ -1,11 +1,15 @@
 // Game WebSocket Handler - Manages WebSocket connections for the game
 // Handles connection lifecycle and routes messages through message handler
 
+const GameProtocol = require('../shared/game-protocol-shared');
+const ReplayViewer = require('./replay-viewer-server');
+
 class GameWebSocket {
     constructor(fastify, messageHandler) {
         this.fastify = fastify;
         this.messageHandler = messageHandler;
         this.nextPlayerId = 1;
+        this.nextSpectatorId = 1;
         
         // Setup WebSocket endpoint
         this._setupWebSocket();
@@ -15,23 +19,32 @@ class GameWebSocket {
     _setupWebSocket() {
         this.fastify.register(async (fastify) => {
             fastify.get('/ws', { websocket: true }, (connection, req) => {
-                // Generate unique player ID for this connection
-                const playerId = `player-${this.nextPlayerId++}`;
-                console.log(`WebSocket client connected: ${playerId}`);
+                // Replay viewers (/ws?replay=NAME) watch a recorded game instead of joining a room
+                if (req.query && req.query.replay) {
+                    this._openReplayViewer(connection, req.query.replay);
+                    return;
+                }
                 
-                // Register connection with message handler
-                this.messageHandler.registerConnection(connection, playerId);
+                // Register connection with message handler for the requested room (/ws?room=CODE),
+                // under a fresh player ID unless it resumes an earlier session (/ws?session=TOKEN)
+                // Spectators (/ws?spectate) watch the room instead (the busiest one without a code)
+                // The client joins once its HELLO is accepted; a full room or missing game closes it then
+                const roomCode = req.query ? req.query.room : null;
+                const sessionToken = req.query ? req.query.session : null;
+                const spectate = req.query ? req.query.spectate !== undefined : false;
+                const playerId = spectate ? `spectator-${this.nextSpectatorId++}` : `player-${this.nextPlayerId++}`;
+                this.messageHandler.registerConnection(connection, playerId, {
+                    roomCode: roomCode,
+                    sessionToken: sessionToken,
+                    spectate: spectate
+                });
+                console.log(`WebSocket client connected: ${playerId}`);
                 
                 connection.socket.on('message', (message) => {
-                    // Handle binary message (Node.js receives as Buffer)
-                    if (Buffer.isBuffer(message)) {
-                        // Read header (little-endian)
-                        const messageType = message.readUInt16LE(0);
-                        const payloadLength = message.readUInt16LE(2);
-                        const payload = message.slice(4, 4 + payloadLength);
-                        
+                    const decoded = GameWebSocket._decode(message, playerId);
+                    if (decoded) {
                         // Route message through message handler to game server
-                        this.messageHandler.handleMessage(connection, messageType, payload);
+                        this.messageHandler.handleMessage(connection, decoded.type, decoded.body);
                     }
                 });
                 
@@ -47,6 +60,42 @@ class GameWebSocket {
             });
         });
     }
+    
+    // Serve a replay viewer connection (see ReplayViewer)
+    _openReplayViewer(connection, replayName) {
+        const viewer = new ReplayViewer(connection, replayName);
+        console.log(`WebSocket replay viewer connected: ${replayName}`);
+        
+        connection.socket.on('message', (message) => {
+            const decoded = GameWebSocket._decode(message, 'replay viewer');
+            if (decoded) {
+                viewer.handleMessage(decoded.type, decoded.body);
+            }
+        });
+        connection.socket.on('close', () => {
+            console.log(`WebSocket replay viewer disconnected: ${replayName}`);
+            viewer.close();
+        });
+        connection.socket.on('error', (error) => {
+            console.error('WebSocket error for replay viewer:', error);
+            viewer.close();
+        });
+        
+        viewer.open();
+    }
+    
+    // Check and unpack a GameEnvelope - truncated or malformed frames are dropped (null)
+    static _decode(message, sender) {
+        // Handle binary message (Node.js receives as Buffer)
+        if (!Buffer.isBuffer(message)) return null;
+        try {
+            return GameProtocol.decode(message);
+        } catch (error) {
+            if (!(error instanceof GameProtocol.ProtocolError)) throw error;
+            console.warn(`Dropped malformed message from ${sender}: ${error.message}`);
+            return null;
+        }
+    }
 }
 
 module.exports = GameWebSocket;
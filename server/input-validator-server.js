@@ -0,0 +1,131 @@
+// Input Validator - Guards the simulation against bad PLAYER_INPUT from one connection
+// Every decoded input frame is checked before it reaches the game server:
+//   - buttons must only use known INPUT_BUTTON bits
+//   - sequence numbers must increase (replayed or duplicated frames are rejected) without
+//     implausible jumps - inputs are sent for every step over an ordered connection
+//   - clientTick must not go backwards or claim more simulation steps than real time allows
+//     (a sped-up client trying to fly further per second than everyone else)
+//   - a token bucket caps the input rate; frames over it are dropped (throttled)
+// There is no check on where a taxi goes: clients send only buttons, and the server flies every
+// taxi with its own flight model, one queued frame per physics step (see Player.consumeInput).
+// A client can't claim a position or speed, so movement is always possible by construction; the
+// only way to cover more ground is to run its clock fast, which the clientTick check catches
+// Each rejection adds to a violation score that drains over time, so the odd glitch is
+// forgiven; a connection is flagged past flagScore and should be kicked past kickScore
+
+const GameProtocol = require('../shared/game-protocol-shared');
+
+// Default validation settings
+const DEFAULT_INPUT_VALIDATION_CONFIG = {
+    fixedStep: 1 / 60,     // Simulation step in seconds (one input frame per step)
+    maxInputRate: 90,      // Input frames per second sustained (60 Hz plus slack for jitter)
+    maxInputBurst: 30,     // Input frames allowed back to back (a client catching up after a stall)
+    maxSequenceGap: 120,   // Largest forward jump in sequence numbers
+    maxTickLead: 60,       // Steps a client's tick may run ahead of real time (arrival jitter)
+    violationDecay: 1,     // Violation points forgiven per second
+    flagScore: 5,          // Score at which the connection is flagged as suspicious
+    kickScore: 20          // Score at which the connection should be closed
+};
+
+// Violation points per kind of rejection
+const VIOLATION = {
+    BAD_BUTTONS: { reason: 'unknown button bits', points: 5 },
+    REPLAYED_SEQUENCE: { reason: 'replayed sequence number', points: 2 },
+    SEQUENCE_GAP: { reason: 'sequence number jumped ahead', points: 5 },
+    TICK_BACKWARDS: { reason: 'client tick went backwards', points: 5 },
+    TICK_AHEAD: { reason: 'client tick ahead of real time', points: 5 },
+    RATE_LIMITED: { reason: 'input rate over the limit', points: 1 }
+};
+
+// Every bit a PLAYER_INPUT may set
+const VALID_BUTTONS = Object.values(GameProtocol.INPUT_BUTTON).reduce((bits, bit) => bits | bit, 0);
+
+class InputValidator {
+    constructor(config = {}) {
+        this.config = Object.assign({}, DEFAULT_INPUT_VALIDATION_CONFIG, config);
+        this.lastSequence = null;   // Latest accepted sequence number (null before the first frame)
+        this.lastClientTick = null;
+        this.firstClientTick = 0;   // Client tick and arrival time of the first accepted frame -
+        this.firstInputTime = 0;    // the reference for how far the client's clock may advance
+        this.tokens = this.config.maxInputBurst;
+        this.lastRefillTime = null;
+        this.score = 0;
+        this.lastDecayTime = null;
+        this.flagged = false;
+    }
+
+    // Check a decoded input frame ({ sequence, clientTick, buttons }) received at now (ms)
+    // Returns null if it may be applied, otherwise the violation it was rejected for ({ reason, points })
+    check(input, now = Date.now()) {
+        this._decay(now);
+        const violation = this._findViolation(input, now);
+        if (violation) {
+            this.score += violation.points;
+            return violation;
+        }
+
+        if (this.lastSequence === null) {
+            this.firstClientTick = input.clientTick;
+            this.firstInputTime = now;
+        }
+        this.lastSequence = input.sequence;
+        this.lastClientTick = input.clientTick;
+        return null;
+    }
+
+    // Has the connection collected enough violations to be flagged? Returns true only the first time
+    checkFlagged() {
+        if (this.flagged || this.score < this.config.flagScore) return false;
+        this.flagged = true;
+        return true;
+    }
+
+    // Should the connection be closed?
+    shouldKick() {
+        return this.score >= this.config.kickScore;
+    }
+
+    // Only the frame itself is checked - its effect on the taxi is simulated by the server (see above)
+    _findViolation(input, now) {
+        // Throttle first - a flood shouldn't cost the checks below
+        if (!this._takeToken(now)) return VIOLATION.RATE_LIMITED;
+
+        if ((input.buttons & ~VALID_BUTTONS) !== 0) return VIOLATION.BAD_BUTTONS;
+        if (this.lastSequence === null) return null; // First frame sets the baseline
+
+        if (input.sequence <= this.lastSequence) return VIOLATION.REPLAYED_SEQUENCE;
+        if (input.sequence - this.lastSequence > this.config.maxSequenceGap) return VIOLATION.SEQUENCE_GAP;
+        if (input.clientTick < this.lastClientTick) return VIOLATION.TICK_BACKWARDS;
+
+        const elapsedSteps = (now - this.firstInputTime) / 1000 / this.config.fixedStep;
+        if (input.clientTick - this.firstClientTick > elapsedSteps + this.config.maxTickLead) {
+            return VIOLATION.TICK_AHEAD;
+        }
+        return null;
+    }
+
+    // Token bucket: refill at maxInputRate up to maxInputBurst, spend one per frame
+    _takeToken(now) {
+        if (this.lastRefillTime !== null) {
+            const refill = (now - this.lastRefillTime) / 1000 * this.config.maxInputRate;
+            this.tokens = Math.min(this.config.maxInputBurst, this.tokens + refill);
+        }
+        this.lastRefillTime = now;
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+
+    // Forgive violations as time passes
+    _decay(now) {
+        if (this.lastDecayTime !== null) {
+            this.score = Math.max(0, this.score - (now - this.lastDecayTime) / 1000 * this.config.violationDecay);
+        }
+        this.lastDecayTime = now;
+    }
+}
+
+InputValidator.DEFAULT_CONFIG = DEFAULT_INPUT_VALIDATION_CONFIG;
+InputValidator.VIOLATION = VIOLATION;
+
+module.exports = InputValidator;
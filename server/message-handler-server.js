@@ -1,143 +1,528 @@
-// Message Handler - Routes messages between WebSocket and Game Server
+// Message Handler - Routes messages between WebSocket and the Game Server of each connection's room
 // Acts as an adapter layer between network communication and game logic
+// Spectator connections get the same handshake and snapshots as players but never play: the
+// game server doesn't know about them, so they have no taxi and no say in when the room closes
+
+const GameProtocol = require('../shared/game-protocol-shared');
+const ClockSync = require('../shared/clock-sync-shared');
+const SnapshotEncoder = require('./snapshot-encoder-server');
+const SessionToken = require('./session-token-server');
+const InputValidator = require('./input-validator-server');
 
 class MessageHandler {
-    constructor(gameServer) {
-        this.gameServer = gameServer;
+    constructor(roomManager) {
+        this.roomManager = roomManager;
         this.connections = new Map(); // connection -> playerId mapping
+        this.connectionRooms = new Map(); // connection -> room (see RoomManager)
+        this.snapshotStates = new Map(); // connection -> { history: Map(tick -> frame), ackTick }
+        this.pendingConnections = new Map(); // connection -> what it asked to join, until its HELLO (see registerConnection)
+        this.clockSyncs = new Map(); // connection -> ClockSync (round-trip time, jitter and clock offset)
+        this.missedHeartbeats = new Map(); // connection -> PINGs sent since the last PONG
+        this.inputValidators = new Map(); // connection -> InputValidator (rate, replay and range checks)
+        this.spectatorConnections = new Set(); // Connections that only watch (see _registerSpectator)
+        
+        // Hook up the game server of every room as it is created
+        this.roomManager.onRoomCreated((room) => {
+            this._setupGameServerCallbacks(room);
+        });
         
-        // Register game server callbacks
-        this._setupGameServerCallbacks();
+        // The last player left - there is nothing more for the room's spectators to watch
+        this.roomManager.onRoomClosed((room) => {
+            this._closeSpectators(room);
+        });
     }
     
-    // Setup callbacks from game server
-    _setupGameServerCallbacks() {
-        // When game state updates, send to all connected clients
-        this.gameServer.onStateUpdate((state) => {
-            this.broadcastStateUpdate(state);
+    // Setup callbacks from a room's game server
+    _setupGameServerCallbacks(room) {
+        room.gameServer.setMessageHandler(this, room.code);
+        
+        // When game state updates, send to the clients in the room
+        room.gameServer.onStateUpdate((state) => {
+            this.broadcastStateUpdate(room, state);
         });
         
         // When player events occur, send to specific client
-        this.gameServer.onPlayerEvent((playerId, event) => {
+        room.gameServer.onPlayerEvent((playerId, event) => {
             this.sendPlayerEvent(playerId, event);
         });
+        
+        // When a player leaves the game for good, free their place in the room
+        room.gameServer.onPlayerLeft((playerId) => {
+            this.roomManager.leaveRoom(playerId, room);
+            this.broadcastRoomInfo(room);
+        });
     }
     
-    // Message types (should match index.js)
-    static MESSAGE_TYPE = {
-        PING: 1,
-        PONG: 2,
-        GAME_STATE: 3,
-        START_GAME: 4,
-        STOP_GAME: 5
-    };
+    // Message types and protocol version (see shared/game-protocol-shared.js)
+    static MESSAGE_TYPE = GameProtocol.MESSAGE_TYPE;
+    static PROTOCOL_VERSION = GameProtocol.PROTOCOL_VERSION;
     
-    // Handle incoming message from WebSocket
-    handleMessage(connection, messageType, payload) {
-        const playerId = this.connections.get(connection);
+    // Oldest baseline (in ticks) a delta snapshot may be encoded against
+    // Clients whose last acknowledged snapshot is older get a full snapshot instead
+    static MAX_BASELINE_AGE = 32;
+    
+    // How long a new connection has to say HELLO (a few heartbeat intervals - see GAME_NETWORK_CONFIG)
+    static HANDSHAKE_TIMEOUT_MS = 5000;
+    
+    // What a spectator may send once welcomed (keep-alives and snapshot acks - nothing that plays)
+    static SPECTATOR_MESSAGE_TYPES = [
+        GameProtocol.MESSAGE_TYPE.PING,
+        GameProtocol.MESSAGE_TYPE.PONG,
+        GameProtocol.MESSAGE_TYPE.SNAPSHOT_ACK
+    ];
+    
+    // Handle incoming message from WebSocket (body decoded by GameProtocol.decode)
+    handleMessage(connection, messageType, body) {
+        // Nothing but the handshake until the client has said HELLO
+        const pending = this.pendingConnections.get(connection);
+        if (pending) {
+            if (messageType === MessageHandler.MESSAGE_TYPE.HELLO) {
+                this._handleHello(connection, pending, body);
+            } else {
+                console.warn(`[MessageHandler] Message type ${messageType} from ${pending.clientId} before HELLO - ignored`);
+            }
+            return;
+        }
         
+        const playerId = this.connections.get(connection);
         if (!playerId) {
             console.warn('Received message from unregistered connection');
             return;
         }
+        const gameServer = this.connectionRooms.get(connection).gameServer;
+        
+        if (messageType === MessageHandler.MESSAGE_TYPE.HELLO) {
+            console.warn(`[MessageHandler] Repeated HELLO from ${playerId} - ignored`);
+            return;
+        }
+        if (this.spectatorConnections.has(connection) && !MessageHandler.SPECTATOR_MESSAGE_TYPES.includes(messageType)) {
+            console.warn(`[MessageHandler] Message type ${messageType} from spectator ${playerId} - ignored`);
+            return;
+        }
+        
+        // Input and snapshot acks arrive continuously, so route them before the (noisy) logging below
+        if (messageType === MessageHandler.MESSAGE_TYPE.SNAPSHOT_ACK) {
+            // Client confirmed a snapshot tick - it becomes the baseline for future deltas
+            this._acknowledgeSnapshot(connection, body.tick);
+            return;
+        }
+        if (messageType === MessageHandler.MESSAGE_TYPE.PLAYER_INPUT) {
+            // Only inputs that pass validation reach the simulation
+            const validator = this.inputValidators.get(connection);
+            const violation = validator.check(body);
+            if (violation) {
+                this._handleInputViolation(connection, playerId, validator, violation);
+                return;
+            }
+            gameServer.handlePlayerInput(playerId, body);
+            return;
+        }
         
         // Route message to game server (even PING/PONG go through to prove architecture)
-        console.log(`[MessageHandler] Routing message from player ${playerId}: type=${messageType}, payload length=${payload.length}`);
+        console.log(`[MessageHandler] Routing message from player ${playerId}: type=${messageType}`);
         
-        // Route PING/PONG through game server
+        // PING/PONG measure the connection (see ClockSync)
         if (messageType === MessageHandler.MESSAGE_TYPE.PING) {
-            // Client sent PING, respond with PONG
+            // Client sent PING, echo its timestamp in a PONG so it can measure us
             console.log(`[MessageHandler] PING from ${playerId} - responding with PONG`);
-            const pongPayload = Buffer.allocUnsafe(0);
-            this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.PONG, pongPayload);
+            this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.PONG, ClockSync.createPong(body));
         } else if (messageType === MessageHandler.MESSAGE_TYPE.PONG) {
-            // Client responded to our PING
-            console.log(`[MessageHandler] PONG from ${playerId} - connection healthy`);
-            // PONG received, no response needed
+            // Client answered one of our PINGs
+            const sample = this.clockSyncs.get(connection).handlePong(body);
+            if (sample) {
+                this.missedHeartbeats.set(connection, 0);
+                const stats = this.getNetworkStats(connection);
+                console.log(`[MessageHandler] PONG from ${playerId} - rtt ${sample.rtt.toFixed(1)}ms (avg ${stats.rtt.toFixed(1)}ms, jitter ${stats.jitter.toFixed(1)}ms)`);
+            } else {
+                console.warn(`[MessageHandler] PONG from ${playerId} to an unknown PING - ignored`);
+            }
         } else if (messageType === MessageHandler.MESSAGE_TYPE.START_GAME) {
             // Initialize and start game server when user starts a game
             console.log(`[MessageHandler] START_GAME from ${playerId} - initializing game server`);
-            this.gameServer.handleStartGame(playerId);
+            gameServer.handleStartGame(playerId);
+            this.sendLevelData(connection);
         } else if (messageType === MessageHandler.MESSAGE_TYPE.STOP_GAME) {
-            // Stop game server when user exits game
-            console.log(`[MessageHandler] STOP_GAME from ${playerId} - stopping game server`);
-            this.gameServer.handleStopGame(playerId);
+            // Take the player's taxi out of the game (the room stays open for the others)
+            // The connection is done with the room too - it may have closed with this player gone
+            console.log(`[MessageHandler] STOP_GAME from ${playerId} - removing taxi`);
+            this._detachConnection(connection);
+            gameServer.handleStopGame(playerId);
+        } else if (messageType === MessageHandler.MESSAGE_TYPE.CONTINUE) {
+            // Client wants to spend a credit to continue after game over
+            console.log(`[MessageHandler] CONTINUE from ${playerId}`);
+            gameServer.handleContinue(playerId);
+        } else if (messageType === MessageHandler.MESSAGE_TYPE.INSERT_COIN) {
+            // Client inserted coins - the game server keeps the player's credits
+            console.log(`[MessageHandler] INSERT_COIN from ${playerId}: ${body.coins}`);
+            gameServer.handleInsertCoin(playerId, body.coins);
         }
-        
-        // TODO: Route other message types to appropriate game server methods
-        // Example routing (to be expanded):
-        // if (messageType === MESSAGE_TYPE.PLAYER_INPUT) {
-        //     const input = parseInput(payload);
-        //     this.gameServer.handlePlayerInput(playerId, input);
-        // }
     }
     
-    // Register a new connection
-    registerConnection(connection, playerId) {
+    // Register a new connection under a fresh id, with what it asks for:
+    // { roomCode, sessionToken } to play, or { spectate: true, roomCode } to watch
+    // Nothing joins the game until the client's HELLO passes the protocol check (see _handleHello),
+    // so a client that is turned away never gets a taxi, a place in a room or a session
+    // A client that doesn't say HELLO within HANDSHAKE_TIMEOUT_MS is disconnected (it isn't in a
+    // room yet, so no room's heartbeat would ever notice it)
+    registerConnection(connection, clientId, request = {}) {
+        this.pendingConnections.set(connection, {
+            clientId: clientId,
+            roomCode: request.roomCode || null,
+            sessionToken: request.sessionToken || null,
+            spectate: !!request.spectate,
+            timeout: setTimeout(() => {
+                this.pendingConnections.delete(connection);
+                console.log(`[MessageHandler] No HELLO from ${clientId} within ${MessageHandler.HANDSHAKE_TIMEOUT_MS}ms - closing connection`);
+                connection.socket.close(GameProtocol.CLOSE_CODE.HEARTBEAT_TIMEOUT, 'Handshake timeout');
+            }, MessageHandler.HANDSHAKE_TIMEOUT_MS)
+        });
+    }
+    
+    // Join the game as a player
+    // A valid session token for a player still in the game resumes that player in their room;
+    // otherwise the connection joins the room with the given join code (a new room if none) as playerId
+    // Returns the id of the player the connection plays as, or null if the room is full
+    _registerPlayer(connection, playerId, roomCode = null, sessionToken = null) {
+        const session = sessionToken ? SessionToken.verify(sessionToken) : null;
+        let room = session ? this._findResumableRoom(session) : null;
+        const resumed = room !== null;
+        if (resumed) {
+            playerId = session.playerId;
+            
+            // The player may still look connected (e.g. a network drop the server hasn't noticed yet)
+            const staleConnection = this._findConnection(playerId);
+            if (staleConnection) {
+                this._detachConnection(staleConnection);
+                staleConnection.socket.close(GameProtocol.CLOSE_CODE.SESSION_TAKEN, 'Session resumed elsewhere');
+            }
+        } else {
+            room = this.roomManager.joinRoom(playerId, roomCode);
+            if (!room) {
+                return null;
+            }
+        }
+        
         this.connections.set(connection, playerId);
-        this.gameServer.handlePlayerConnect(playerId, connection);
+        this.connectionRooms.set(connection, room);
+        this.snapshotStates.set(connection, { history: new Map(), ackTick: 0 });
+        this.clockSyncs.set(connection, new ClockSync());
+        this.missedHeartbeats.set(connection, 0);
+        room.gameServer.handlePlayerConnect(playerId, connection);
+        this.inputValidators.set(connection, new InputValidator({
+            fixedStep: room.gameServer.getPhysicsConfig().fixedStep // Known once the game is initialized
+        }));
+        this.sendSession(connection, playerId, room, resumed);
+        this.broadcastRoomInfo(room);
+        return playerId;
+    }
+    
+    // Join a room as a spectator, watching without playing in it (/ws?spectate)
+    // It watches the room with the given join code, or the busiest room when no code is given
+    // Returns the spectator's id, or null if there is no such room
+    _registerSpectator(connection, spectatorId, roomCode = null) {
+        const room = this.roomManager.watchRoom(spectatorId, roomCode);
+        if (!room) {
+            return null;
+        }
+        
+        this.connections.set(connection, spectatorId);
+        this.connectionRooms.set(connection, room);
+        this.snapshotStates.set(connection, { history: new Map(), ackTick: 0 });
+        this.clockSyncs.set(connection, new ClockSync());
+        this.missedHeartbeats.set(connection, 0);
+        this.spectatorConnections.add(connection);
+        this.broadcastRoomInfo(room);
+        return spectatorId;
     }
     
     // Unregister a connection
+    // The player keeps their place in the room until the game server says they have left;
+    // a spectator simply stops watching
     unregisterConnection(connection) {
+        const pending = this.pendingConnections.get(connection);
+        if (pending) { // Closed before saying HELLO
+            clearTimeout(pending.timeout);
+            this.pendingConnections.delete(connection);
+            return;
+        }
         const playerId = this.connections.get(connection);
-        if (playerId) {
-            this.connections.delete(connection);
-            this.gameServer.handlePlayerDisconnect(playerId);
+        if (!playerId) return;
+        
+        const room = this.connectionRooms.get(connection);
+        if (this.spectatorConnections.has(connection)) {
+            this._detachConnection(connection);
+            this.roomManager.stopWatching(playerId, room);
+            this.broadcastRoomInfo(room);
+            return;
         }
+        this._detachConnection(connection);
+        room.gameServer.handlePlayerDisconnect(playerId);
     }
     
-    // Send message to specific client via WebSocket
-    // Note: This is called from message handler, but actual WebSocket.send() happens in index.js
-    // We'll need to store the connection's socket reference or use a callback
-    sendToClient(connection, messageType, payload) {
-        // Create GameEnvelope: header + payload
-        const payloadLength = payload ? payload.length : 0;
-        const buffer = Buffer.allocUnsafe(4 + payloadLength);
-        
-        // Write header (little-endian)
-        buffer.writeUInt16LE(messageType, 0);
-        buffer.writeUInt16LE(payloadLength, 2);
-        
-        // Write payload if present
-        if (payload && payloadLength > 0) {
-            if (Buffer.isBuffer(payload)) {
-                payload.copy(buffer, 4);
-            } else {
-                buffer.write(payload, 4);
+    // Disconnect everyone watching a room that has closed
+    _closeSpectators(room) {
+        Array.from(this.spectatorConnections).forEach((connection) => {
+            if (this.connectionRooms.get(connection) !== room) return;
+            this._detachConnection(connection);
+            connection.socket.close(GameProtocol.CLOSE_CODE.NO_GAME, 'Game over');
+        });
+    }
+    
+    // Check the client's protocol version (HELLO: { protocolVersion })
+    // A compatible client joins what it asked for (see registerConnection) and gets WELCOME;
+    // any other is disconnected without a trace in the game
+    _handleHello(connection, pending, hello) {
+        clearTimeout(pending.timeout);
+        this.pendingConnections.delete(connection);
+        const clientVersion = hello.protocolVersion;
+        if (clientVersion !== MessageHandler.PROTOCOL_VERSION) {
+            console.log(`[MessageHandler] HELLO from ${pending.clientId} with protocol ${clientVersion} (server speaks ${MessageHandler.PROTOCOL_VERSION}) - disconnecting`);
+            connection.socket.close(GameProtocol.CLOSE_CODE.PROTOCOL_MISMATCH,
+                `Protocol version ${MessageHandler.PROTOCOL_VERSION} required, client sent ${clientVersion}`);
+            return;
+        }
+        
+        if (pending.spectate) {
+            const spectatorId = this._registerSpectator(connection, pending.clientId, pending.roomCode);
+            if (!spectatorId) {
+                connection.socket.close(GameProtocol.CLOSE_CODE.NO_GAME, 'No game to watch');
+                return;
             }
+            // Players get the level when they start their game; spectators are watching one already
+            this.sendWelcome(connection, spectatorId);
+            this.sendLevelData(connection);
+            return;
+        }
+        
+        const playerId = this._registerPlayer(connection, pending.clientId, pending.roomCode, pending.sessionToken);
+        if (!playerId) {
+            connection.socket.close(GameProtocol.CLOSE_CODE.ROOM_FULL, 'Room full');
+            return;
+        }
+        this.sendWelcome(connection, playerId);
+    }
+    
+    // Room of a verified session's player, if that player can still be resumed (null otherwise)
+    _findResumableRoom(session) {
+        const room = this.roomManager.getRoom(session.roomCode);
+        if (!room || !room.playerIds.has(session.playerId) || !room.gameServer.hasPlayer(session.playerId)) {
+            return null;
+        }
+        return room;
+    }
+    
+    // Connection a player is currently playing on (undefined if none)
+    _findConnection(playerId) {
+        return Array.from(this.connections.entries())
+            .find(([conn, pid]) => pid === playerId)?.[0];
+    }
+    
+    // Forget a connection without telling the game server
+    _detachConnection(connection) {
+        this.connections.delete(connection);
+        this.connectionRooms.delete(connection);
+        this.snapshotStates.delete(connection);
+        this.clockSyncs.delete(connection);
+        this.missedHeartbeats.delete(connection);
+        this.inputValidators.delete(connection);
+        this.spectatorConnections.delete(connection);
+    }
+    
+    // A PLAYER_INPUT failed validation (it has already been dropped)
+    // Log why; flag the connection once it looks deliberate, and kick it - taxi and all - once
+    // its violations pile up faster than they are forgiven
+    _handleInputViolation(connection, playerId, validator, violation) {
+        console.warn(`[MessageHandler] Rejected input from ${playerId}: ${violation.reason} (violation score ${validator.score.toFixed(1)})`);
+        if (validator.checkFlagged()) {
+            console.warn(`[MessageHandler] Flagged ${playerId} for repeated invalid input`);
         }
+        if (!validator.shouldKick()) return;
         
-        // Send via WebSocket (connection.socket is the WebSocket instance)
+        console.warn(`[MessageHandler] Kicking ${playerId}: too many invalid inputs (last: ${violation.reason})`);
+        const room = this.connectionRooms.get(connection);
+        this._detachConnection(connection);
+        room.gameServer.handleStopGame(playerId);
+        connection.socket.close(GameProtocol.CLOSE_CODE.INPUT_REJECTED, 'Too many invalid inputs');
+    }
+    
+    // Send message to specific client via WebSocket
+    // body is laid out by the message type's schema (see GameProtocol.MESSAGE_SCHEMA)
+    // Set log to false for high-frequency messages (e.g. GAME_STATE at the tick rate)
+    sendToClient(connection, messageType, body = null, log = true) {
+        const frame = this._encode(messageType, body);
+        if (frame) {
+            this._sendFrame(connection, messageType, frame, log);
+        }
+    }
+    
+    // Build a GameEnvelope frame (null if the message can't be encoded, e.g. it is too large)
+    _encode(messageType, body) {
+        try {
+            return GameProtocol.encode(messageType, body);
+        } catch (error) {
+            if (!(error instanceof GameProtocol.ProtocolError)) throw error;
+            console.error(`[MessageHandler] Cannot send message type ${messageType}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    // Send an encoded frame via WebSocket (connection.socket is the WebSocket instance)
+    _sendFrame(connection, messageType, frame, log) {
         if (connection.socket && connection.socket.readyState === 1) { // WebSocket.OPEN
-            connection.socket.send(buffer);
+            connection.socket.send(frame);
+            if (!log) return;
             const playerId = this.connections.get(connection);
-            console.log(`[MessageHandler] Sent message to ${playerId}: type=${messageType}, payload length=${payloadLength}`);
+            console.log(`[MessageHandler] Sent message to ${playerId}: type=${messageType}, frame length=${frame.length}`);
         }
     }
     
-    // Broadcast message to all connected clients
-    broadcast(messageType, payload) {
+    // Send level geometry (JSON) so the client shares the server's world
+    sendLevelData(connection) {
+        const level = this.connectionRooms.get(connection).gameServer.getLevelData();
+        if (!level) return;
+        
+        this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.LEVEL_DATA, level);
+    }
+    
+    // Send the client its session (JSON: playerId, signed token to resume with, whether this
+    // connection resumed an earlier session, how long the server holds a dropped player, and the
+    // credits the player has - none for a new player, whatever was left for a resumed one)
+    sendSession(connection, playerId, room, resumed) {
+        this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.SESSION, {
+            playerId: playerId,
+            token: SessionToken.create({ playerId: playerId, roomCode: room.code }),
+            resumed: resumed,
+            graceSeconds: room.gameServer.getSessionConfig().graceSeconds,
+            credits: room.gameServer.getPlayerCredits(playerId)
+        });
+    }
+    
+    // Answer HELLO with everything the client needs to simulate like the server (JSON:
+    // protocolVersion, playerId (null for spectators), spectator, tickRate, serverTime (a first
+    // guess at our clock until PING/PONG measures it), world { width, height, gravity }, physics -
+    // see FlightPhysics)
+    sendWelcome(connection, playerId) {
+        const gameServer = this.connectionRooms.get(connection).gameServer;
+        const spectator = this.spectatorConnections.has(connection);
+        this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.WELCOME, {
+            protocolVersion: MessageHandler.PROTOCOL_VERSION,
+            playerId: spectator ? null : playerId,
+            spectator: spectator,
+            tickRate: gameServer.getTickRate(),
+            serverTime: ClockSync.now(),
+            world: gameServer.getWorldConfig(),
+            physics: gameServer.getPhysicsConfig()
+        });
+    }
+    
+    // Broadcast message to all connected clients (only those in the given room, if a room code is given)
+    broadcast(messageType, body = null, roomCode = null) {
+        const frame = this._encode(messageType, body);
+        if (!frame) return;
+        
         this.connections.forEach((playerId, connection) => {
-            this.sendToClient(connection, messageType, payload);
+            if (roomCode && this.connectionRooms.get(connection).code !== roomCode) return;
+            this._sendFrame(connection, messageType, frame, true);
+        });
+    }
+    
+    // Send a timestamped PING to every connection in a room (each connection's ClockSync
+    // remembers its own so the PONG gives that connection's round-trip time)
+    // Connections that left maxMissedHeartbeats PINGs in a row unanswered are presumed dead
+    // (e.g. a half-open socket after a network drop) and evicted instead
+    sendPings(roomCode, maxMissedHeartbeats = Infinity) {
+        Array.from(this.clockSyncs.entries()).forEach(([connection, clockSync]) => {
+            if (this.connectionRooms.get(connection).code !== roomCode) return;
+            
+            const missed = this.missedHeartbeats.get(connection);
+            if (missed >= maxMissedHeartbeats) {
+                this._evictConnection(connection, missed);
+                return;
+            }
+            this.missedHeartbeats.set(connection, missed + 1);
+            this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.PING, clockSync.createPing());
         });
     }
     
-    // Broadcast game state update to all clients
-    broadcastStateUpdate(state) {
-        // TODO: Serialize state and broadcast
-        console.log('Broadcasting state update to all clients');
+    // Close a connection that stopped answering PINGs
+    // Its player goes through the normal disconnect path, so it can still resume within the grace period
+    _evictConnection(connection, missedHeartbeats) {
+        const playerId = this.connections.get(connection);
+        console.log(`[MessageHandler] ${playerId} missed ${missedHeartbeats} heartbeats - closing connection`);
+        this.unregisterConnection(connection);
+        connection.socket.close(GameProtocol.CLOSE_CODE.HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+    }
+    
+    // Round-trip time, jitter and clock offset measured on a connection (see ClockSync.getStats)
+    // Returns null for unknown connections
+    getNetworkStats(connection) {
+        const clockSync = this.clockSyncs.get(connection);
+        return clockSync ? clockSync.getStats() : null;
+    }
+    
+    // Tell everyone in a room its join code, how full it is and how many are watching (JSON)
+    broadcastRoomInfo(room) {
+        this.broadcast(MessageHandler.MESSAGE_TYPE.ROOM_INFO, {
+            code: room.code,
+            players: room.playerIds.size,
+            maxPlayers: this.roomManager.config.maxPlayers,
+            spectators: room.spectatorIds.size
+        }, room.code);
     }
     
-    // Send player-specific event
+    // Broadcast game state update to the clients in a room
+    // Each client gets a delta against the last snapshot it acknowledged
+    broadcastStateUpdate(room, state) {
+        const frame = SnapshotEncoder.createFrame(state, ClockSync.now());
+        this.snapshotStates.forEach((snapshotState, connection) => {
+            if (this.connectionRooms.get(connection) !== room) return;
+            
+            const baseline = this._getBaseline(snapshotState, frame.tick);
+            const payload = SnapshotEncoder.encode(frame, baseline, this._getRecipient(connection));
+            
+            // Remember what we sent so a later acknowledgement can use it as the baseline
+            snapshotState.history.set(frame.tick, frame);
+            snapshotState.history.forEach((oldFrame, tick) => {
+                if (frame.tick - tick > MessageHandler.MAX_BASELINE_AGE) {
+                    snapshotState.history.delete(tick);
+                }
+            });
+            
+            this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.GAME_STATE, payload, false);
+        });
+    }
+    
+    // Pick the baseline frame for a client (null = send a full snapshot)
+    _getBaseline(snapshotState, tick) {
+        if (!snapshotState.ackTick || tick - snapshotState.ackTick > MessageHandler.MAX_BASELINE_AGE) {
+            return null;
+        }
+        return snapshotState.history.get(snapshotState.ackTick) || null;
+    }
+    
+    // Describe the client's own taxi for the snapshot header (used for prediction)
+    // Spectators have none (null), so their snapshots name no taxi as theirs
+    _getRecipient(connection) {
+        const playerId = this.connections.get(connection);
+        const gameState = this.connectionRooms.get(connection).gameServer.gameState;
+        const player = gameState ? gameState.getPlayer(playerId) : null;
+        return player ? { netId: player.netId, lastProcessedInputSeq: player.lastProcessedInputSeq } : null;
+    }
+    
+    // Record the newest snapshot tick a client has received
+    _acknowledgeSnapshot(connection, tick) {
+        const snapshotState = this.snapshotStates.get(connection);
+        if (snapshotState && tick > snapshotState.ackTick && snapshotState.history.has(tick)) {
+            snapshotState.ackTick = tick;
+        }
+    }
+    
+    // Send player-specific event (JSON, e.g. { type: 'landed', platformId, speed, tick })
     sendPlayerEvent(playerId, event) {
-        // TODO: Find connection for playerId and send event
-        const connection = Array.from(this.connections.entries())
-            .find(([conn, pid]) => pid === playerId)?.[0];
+        const connection = this._findConnection(playerId);
         
         if (connection) {
-            // TODO: Send event
-            console.log(`Sending event to player ${playerId}`);
+            this.sendToClient(connection, MessageHandler.MESSAGE_TYPE.PLAYER_EVENT, event);
         }
     }
 }
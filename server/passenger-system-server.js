@@ -0,0 +1,200 @@
+// Passenger System - Spawns passengers on platforms and runs pickups and deliveries
+// Driven by the GameLoop: update() once per tick, handleTaxiEvent() for landings and crashes
+//
+// A waiting passenger hails taxis from its platform. When a taxi is parked there after a valid
+// landing (a taxi that spawned on the platform doesn't count), the passenger walks over, boards
+// and names a destination platform. Parking on the destination pays the fare plus a tip that shrinks with ride time
+// and rough landings. Crashing loses the passenger.
+
+const Passenger = require('../models/passenger');
+
+// Default passenger tuning (overridden by server configuration)
+const DEFAULT_PASSENGER_CONFIG = {
+    maxWaiting: 2,           // Passengers waiting on platforms at once
+    spawnInterval: 4,        // Seconds between spawns while fewer are waiting
+    walkSpeed: 60,           // Walking speed when boarding (pixels/s)
+    baseFare: 10,            // Fare for any trip
+    farePerPixel: 0.05,      // Extra fare per pixel between pickup and destination platform
+    maxTip: 20,              // Tip for an instant, smooth delivery
+    tipDecayPerSecond: 1,    // Tip lost per second of ride time
+    roughLandingSpeed: 90,   // Touchdowns faster than this (pixels/s) upset the passenger
+    roughLandingPenalty: 5   // Tip lost per rough landing
+};
+
+class PassengerSystem {
+    constructor(gameState, config = {}) {
+        this.gameState = gameState;
+        this.config = Object.assign({}, DEFAULT_PASSENGER_CONFIG, config);
+        this.spawnTimer = 0; // Seconds until the next passenger may spawn
+        this.nextPassengerId = 1;
+
+        // Callbacks for passenger events about a taxi (boarded, delivered, lost)
+        this.onEventCallbacks = [];
+    }
+
+    // Advance passengers by one game tick
+    update(deltaTime) {
+        const platforms = this._getPlatforms();
+        if (platforms.length < 2) return; // Nowhere to go
+
+        this._spawnPassengers(deltaTime, platforms);
+
+        this.gameState.getAllPassengers().forEach(passenger => {
+            if (passenger.state === Passenger.STATE.WAITING) {
+                this._lookForTaxi(passenger);
+            } else if (passenger.state === Passenger.STATE.BOARDING) {
+                this._walkToTaxi(passenger, deltaTime, platforms);
+            } else if (passenger.state === Passenger.STATE.RIDING) {
+                this._ride(passenger, deltaTime);
+            }
+        });
+    }
+
+    // React to a landing or crash of a taxi (see LevelCollision.stepTaxi events)
+    handleTaxiEvent(taxi, event) {
+        const passenger = this.getPassengerInTaxi(taxi);
+        if (!passenger) return;
+
+        if (event.type === 'crashed') {
+            this.gameState.removePassenger(passenger.id);
+            this._emitEvent(taxi, { type: 'passenger-lost', passengerId: passenger.netId });
+        } else if (event.type === 'landed' && event.speed > this.config.roughLandingSpeed) {
+            passenger.roughLandings++;
+            passenger.updateTip(this.config);
+        }
+    }
+
+    // Passenger riding in a taxi (null if the taxi is empty)
+    getPassengerInTaxi(taxi) {
+        return this.gameState.getAllPassengers().find(passenger =>
+            passenger.state === Passenger.STATE.RIDING && passenger.taxiId === taxi.id) || null;
+    }
+
+    // Register callback for passenger events: callback(taxi, event)
+    onEvent(callback) {
+        this.onEventCallbacks.push(callback);
+    }
+
+    // Keep up to maxWaiting passengers on platforms, one per platform
+    _spawnPassengers(deltaTime, platforms) {
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer > 0) return;
+
+        const waiting = this.gameState.getAllPassengers().filter(passenger => passenger.state !== Passenger.STATE.RIDING);
+        if (waiting.length >= this.config.maxWaiting) return;
+
+        const freePlatforms = platforms.filter(platform =>
+            !waiting.some(passenger => passenger.platformId === platform.id));
+        if (freePlatforms.length === 0) return;
+
+        const random = this.gameState.random;
+        const platform = random.pick(freePlatforms);
+        const passengerId = `passenger-${this.nextPassengerId++}`;
+        this.gameState.addPassenger(passengerId, new Passenger(passengerId, {
+            x: platform.x + platform.width * random.range(0.2, 0.8),
+            y: platform.y,
+            platformId: platform.id
+        }));
+        this.spawnTimer = this.config.spawnInterval;
+    }
+
+    // Start boarding the first empty taxi parked on our platform
+    _lookForTaxi(passenger) {
+        const taxi = this.gameState.getAllTaxis().find(candidate =>
+            this._isParkedOn(candidate, passenger.platformId) && !this._isTaxiTaken(candidate));
+        if (taxi) {
+            passenger.startBoarding(taxi);
+        }
+    }
+
+    // Walk to the taxi; board when we reach it, go back to waiting if it takes off
+    _walkToTaxi(passenger, deltaTime, platforms) {
+        const taxi = this._findTaxi(passenger.taxiId);
+        if (!taxi || !this._isParkedOn(taxi, passenger.platformId)) {
+            passenger.stopBoarding();
+            return;
+        }
+
+        const step = this.config.walkSpeed * deltaTime;
+        const distance = taxi.x - passenger.x;
+        if (Math.abs(distance) > step) {
+            passenger.x += Math.sign(distance) * step;
+            return;
+        }
+
+        // Pick a destination and price the trip by platform distance
+        const origin = platforms.find(platform => platform.id === passenger.platformId);
+        const destinations = platforms.filter(platform => platform.id !== passenger.platformId);
+        const destination = this.gameState.random.pick(destinations);
+        const tripLength = Math.hypot(
+            (destination.x + destination.width / 2) - (origin.x + origin.width / 2),
+            destination.y - origin.y
+        );
+        const fare = this.config.baseFare + Math.round(tripLength * this.config.farePerPixel);
+
+        passenger.board(destination.id, fare);
+        passenger.updateTip(this.config);
+        this._emitEvent(taxi, {
+            type: 'passenger-boarded',
+            passengerId: passenger.netId,
+            destinationPlatformId: destination.id,
+            fare: fare
+        });
+    }
+
+    // Ride along with the taxi; pay up when it parks on the destination platform
+    _ride(passenger, deltaTime) {
+        const taxi = this._findTaxi(passenger.taxiId);
+        if (!taxi) {
+            // Taxi left the game
+            this.gameState.removePassenger(passenger.id);
+            return;
+        }
+
+        passenger.rideTime += deltaTime;
+        passenger.updateTip(this.config);
+        passenger.x = taxi.x;
+        passenger.y = taxi.y + this.gameState.world.physics.taxiHeight;
+        passenger.platformId = taxi.onGround ? taxi.platformId : 0;
+
+        if (this._isParkedOn(taxi, passenger.destinationPlatformId)) {
+            taxi.cash += passenger.fare + passenger.tip;
+            this.gameState.removePassenger(passenger.id);
+            this._emitEvent(taxi, {
+                type: 'passenger-delivered',
+                passengerId: passenger.netId,
+                fare: passenger.fare,
+                tip: passenger.tip,
+                cash: taxi.cash
+            });
+        }
+    }
+
+    _getPlatforms() {
+        const world = this.gameState.world;
+        return world && world.collisionMap ? world.collisionMap.platforms : [];
+    }
+
+    _findTaxi(taxiId) {
+        return this.gameState.getPlayer(taxiId) || this.gameState.getAIPlayer(taxiId) || null;
+    }
+
+    // Parked on the platform after landing there (see GameLoop._stepTaxis)
+    _isParkedOn(taxi, platformId) {
+        return !taxi.crashed && taxi.onGround && platformId !== 0 &&
+            taxi.platformId === platformId && taxi.landedOn === platformId;
+    }
+
+    // Is a passenger already riding in or walking to this taxi?
+    _isTaxiTaken(taxi) {
+        return this.gameState.getAllPassengers().some(passenger => passenger.taxiId === taxi.id);
+    }
+
+    _emitEvent(taxi, event) {
+        this.onEventCallbacks.forEach(callback => callback(taxi, event));
+    }
+}
+
+PassengerSystem.DEFAULT_CONFIG = DEFAULT_PASSENGER_CONFIG;
+
+module.exports = PassengerSystem;
@@ -0,0 +1,184 @@
+// Path Finder - A* routes for AI taxis through the level's open air
+// Used by AIController to fly between platforms without touching building tiles
+//
+// The search runs over the tile grid. A cell is open when a taxi centred on it (plus a
+// safety margin) overlaps no solid tile, no platform and no world edge, so any path
+// made of open cells can be flown without a collision.
+
+class PathFinder {
+    // collisionMap: see LevelCollision.createCollisionMap
+    // physics: flight model config (taxiWidth, taxiHeight)
+    // margin: extra clearance around the taxi in pixels
+    constructor(collisionMap, physics, bounds, margin = 8) {
+        this.collisionMap = collisionMap;
+        this.bounds = bounds;
+        this.cellWidth = collisionMap.tileWidth;
+        this.cellHeight = collisionMap.tileHeight;
+        this.columns = collisionMap.columns;
+        this.rows = collisionMap.rows;
+        this.halfWidth = physics.taxiWidth / 2 + margin;
+        this.halfHeight = physics.taxiHeight / 2 + margin;
+        this.open = this._buildOpenCells();
+    }
+
+    // Route for the taxi centre from one point to another
+    // Returns waypoints [{ x, y }] (cell centres, ending at the exact target) or null if unreachable
+    findPath(fromX, fromY, toX, toY) {
+        const start = this._nearestOpenCell(fromX, fromY);
+        const goal = this._nearestOpenCell(toX, toY);
+        if (start === -1 || goal === -1) return null;
+
+        const cameFrom = new Int32Array(this.open.length).fill(-1);
+        const cost = new Float64Array(this.open.length).fill(Infinity);
+        const closed = new Uint8Array(this.open.length);
+        const frontier = [start]; // Small grids - a linear scan for the best node is fast enough
+        const estimate = new Float64Array(this.open.length);
+        cost[start] = 0;
+        estimate[start] = this._distance(start, goal);
+
+        while (frontier.length > 0) {
+            let best = 0;
+            for (let i = 1; i < frontier.length; i++) {
+                if (estimate[frontier[i]] < estimate[frontier[best]]) best = i;
+            }
+            const current = frontier.splice(best, 1)[0];
+            if (current === goal) {
+                return this._buildPath(cameFrom, goal, toX, toY);
+            }
+            closed[current] = 1;
+
+            this._neighbours(current).forEach(next => {
+                if (closed[next]) return;
+                const nextCost = cost[current] + this._distance(current, next);
+                if (nextCost >= cost[next]) return;
+
+                if (cost[next] === Infinity) frontier.push(next);
+                cameFrom[next] = current;
+                cost[next] = nextCost;
+                estimate[next] = nextCost + this._distance(next, goal);
+            });
+        }
+        return null;
+    }
+
+    // Can a taxi fly in a straight line between two points? (sampled every half cell)
+    hasLineOfSight(fromX, fromY, toX, toY) {
+        const length = Math.hypot(toX - fromX, toY - fromY);
+        const samples = Math.max(1, Math.ceil(length / (Math.min(this.cellWidth, this.cellHeight) / 2)));
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            if (!this.isClear(fromX + (toX - fromX) * t, fromY + (toY - fromY) * t)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Does a taxi centred here (plus margin) stay clear of tiles, platforms and world edges?
+    isClear(x, y) {
+        const left = x - this.halfWidth;
+        const right = x + this.halfWidth;
+        const top = y - this.halfHeight;
+        const bottom = y + this.halfHeight;
+
+        if (left < this.bounds.left || right > this.bounds.right || top < this.bounds.top || bottom > this.bounds.bottom) {
+            return false;
+        }
+
+        const firstColumn = Math.max(0, Math.floor(left / this.cellWidth));
+        const lastColumn = Math.min(this.columns - 1, Math.ceil(right / this.cellWidth) - 1);
+        const firstRow = Math.max(0, Math.floor(top / this.cellHeight));
+        const lastRow = Math.min(this.rows - 1, Math.ceil(bottom / this.cellHeight) - 1);
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                if (this.collisionMap.solid[row * this.columns + column]) return false;
+            }
+        }
+
+        return !this.collisionMap.platforms.some(platform =>
+            right > platform.x && left < platform.x + platform.width &&
+            bottom > platform.y && top < platform.y + platform.height);
+    }
+
+    _buildOpenCells() {
+        const open = new Uint8Array(this.columns * this.rows);
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const centre = this._cellCentre(row * this.columns + column);
+                open[row * this.columns + column] = this.isClear(centre.x, centre.y) ? 1 : 0;
+            }
+        }
+        return open;
+    }
+
+    // Open cell closest to a point (-1 if the level has no open cells)
+    _nearestOpenCell(x, y) {
+        let nearest = -1;
+        let nearestDistance = Infinity;
+        this.open.forEach((isOpen, cell) => {
+            if (!isOpen) return;
+            const centre = this._cellCentre(cell);
+            const distance = Math.hypot(centre.x - x, centre.y - y);
+            if (distance < nearestDistance) {
+                nearest = cell;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Open cells around a cell (8 directions, no cutting past blocked corners)
+    _neighbours(cell) {
+        const column = cell % this.columns;
+        const row = Math.floor(cell / this.columns);
+        const isOpen = (c, r) => c >= 0 && r >= 0 && c < this.columns && r < this.rows && this.open[r * this.columns + c] === 1;
+
+        const neighbours = [];
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dc === 0 && dr === 0) continue;
+                if (!isOpen(column + dc, row + dr)) continue;
+                if (dc !== 0 && dr !== 0 && (!isOpen(column + dc, row) || !isOpen(column, row + dr))) continue;
+                neighbours.push((row + dr) * this.columns + column + dc);
+            }
+        }
+        return neighbours;
+    }
+
+    // Walk back from the goal, then drop waypoints the taxi can skip in a straight line
+    _buildPath(cameFrom, goal, toX, toY) {
+        const cells = [];
+        for (let cell = goal; cell !== -1; cell = cameFrom[cell]) {
+            cells.unshift(this._cellCentre(cell));
+        }
+        if (this.isClear(toX, toY)) {
+            cells.push({ x: toX, y: toY });
+        }
+
+        const path = [cells[0]];
+        let anchor = cells[0];
+        for (let i = 1; i < cells.length - 1; i++) {
+            if (!this.hasLineOfSight(anchor.x, anchor.y, cells[i + 1].x, cells[i + 1].y)) {
+                path.push(cells[i]);
+                anchor = cells[i];
+            }
+        }
+        if (cells.length > 1) path.push(cells[cells.length - 1]);
+        return path;
+    }
+
+    _cellCentre(cell) {
+        return {
+            x: (cell % this.columns + 0.5) * this.cellWidth,
+            y: (Math.floor(cell / this.columns) + 0.5) * this.cellHeight
+        };
+    }
+
+    _distance(a, b) {
+        const pa = this._cellCentre(a);
+        const pb = this._cellCentre(b);
+        return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+    }
+}
+
+module.exports = PathFinder;
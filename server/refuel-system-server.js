@@ -0,0 +1,90 @@
+// Refuel System - Sells fuel to taxis parked on fuel pads
+// Driven by the GameLoop: update() once per tick
+//
+// Fuel pads are platforms of type "fuel" (LevelCollision.PLATFORM_TYPE.FUEL) in the TMX map.
+// A parked taxi is topped up at refuelRate for as long as it can pay from its cash;
+// the pad's fuelPrice property (price per fuel unit) overrides the default price.
+
+const LevelCollision = require('../shared/level-collision-shared');
+
+// Default refuelling tuning (overridden by server configuration)
+const DEFAULT_REFUEL_CONFIG = {
+    refuelRate: 25,   // Fuel units pumped per second
+    fuelPrice: 0.2    // Cash per fuel unit when the pad has no fuelPrice property
+};
+
+class RefuelSystem {
+    constructor(gameState, config = {}) {
+        this.gameState = gameState;
+        this.config = Object.assign({}, DEFAULT_REFUEL_CONFIG, config);
+        this.refuelling = new Map(); // taxiId -> { amount, cost } bought during the current stop
+
+        // Callbacks for refuel events about a taxi (refuelled)
+        this.onEventCallbacks = [];
+    }
+
+    // Pump fuel into every taxi parked on a fuel pad
+    update(deltaTime) {
+        const world = this.gameState.world;
+        if (!world || !world.collisionMap) return;
+
+        const fuelPads = world.collisionMap.platforms.filter(platform => platform.type === LevelCollision.PLATFORM_TYPE.FUEL);
+        const capacity = world.physics.fuelCapacity;
+
+        this.gameState.getAllTaxis().forEach(taxi => {
+            const pad = fuelPads.find(platform => !taxi.crashed && taxi.onGround && taxi.platformId === platform.id);
+            if (!pad) {
+                this._finishRefuelling(taxi);
+                return;
+            }
+
+            const price = pad.properties.fuelPrice !== undefined ? pad.properties.fuelPrice : this.config.fuelPrice;
+            const affordable = price > 0 ? taxi.cash / price : Infinity;
+            const amount = Math.min(capacity - taxi.fuel, this.config.refuelRate * deltaTime, affordable);
+            if (amount <= 0) {
+                this._finishRefuelling(taxi);
+                return;
+            }
+
+            taxi.fuel += amount;
+            taxi.cash = Math.max(0, taxi.cash - amount * price);
+
+            const purchase = this.refuelling.get(taxi.id) || { amount: 0, cost: 0 };
+            purchase.amount += amount;
+            purchase.cost += amount * price;
+            this.refuelling.set(taxi.id, purchase);
+        });
+
+        // Forget taxis that left the game mid-stop
+        this.refuelling.forEach((purchase, taxiId) => {
+            if (!this.gameState.getPlayer(taxiId) && !this.gameState.getAIPlayer(taxiId)) {
+                this.refuelling.delete(taxiId);
+            }
+        });
+    }
+
+    // Register callback for refuel events: callback(taxi, event)
+    onEvent(callback) {
+        this.onEventCallbacks.push(callback);
+    }
+
+    // Tank full, cash gone or taxi left the pad - report what was bought
+    _finishRefuelling(taxi) {
+        const purchase = this.refuelling.get(taxi.id);
+        if (!purchase) return;
+
+        this.refuelling.delete(taxi.id);
+        const event = {
+            type: 'refuelled',
+            amount: Math.round(purchase.amount),
+            cost: Math.round(purchase.cost * 100) / 100,
+            fuel: taxi.fuel,
+            cash: taxi.cash
+        };
+        this.onEventCallbacks.forEach(callback => callback(taxi, event));
+    }
+}
+
+RefuelSystem.DEFAULT_CONFIG = DEFAULT_REFUEL_CONFIG;
+
+module.exports = RefuelSystem;
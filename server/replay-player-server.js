@@ -0,0 +1,265 @@
+// Replay Player - Plays a recorded game back by re-simulating it (see ReplayRecorder)
+// The replay gets its own GameServer, initialized with the recorded settings and driven tick by
+// tick instead of by the wall clock; recorded commands are applied after the tick they arrived
+// after, so every tick comes out exactly as it did live
+//
+// Playback runs at a chosen speed and can be paused; seeking re-simulates from the start (or from
+// the current tick when seeking forward) in chunks, so other games keep running meanwhile
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+const GameServer = require('./game-server');
+const ReplayRecorder = require('./replay-recorder-server');
+const GameProtocol = require('../shared/game-protocol-shared');
+
+// Default playback settings
+const DEFAULT_REPLAY_PLAYER_CONFIG = {
+    directory: ReplayRecorder.DEFAULT_CONFIG.directory, // Where replay files are found
+    minSpeed: 0.25,       // Slowest playback (times real time)
+    maxSpeed: 4,          // Fastest playback
+    seekChunkTicks: 500   // Ticks re-simulated between yields to the event loop while seeking
+};
+
+const gunzip = util.promisify(zlib.gunzip);
+
+// Thrown for replay files that are missing, unreadable or recorded by another version
+class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+class ReplayPlayer {
+    constructor(replay, config = {}) {
+        this.config = Object.assign({}, DEFAULT_REPLAY_PLAYER_CONFIG, config);
+        this.replay = replay;
+        this.commands = replay.commands.map(ReplayRecorder.unpackCommand);
+        this.endTick = replay.endTick;
+        this.gameServer = null;
+        this.nextCommand = 0; // Index of the next command to apply
+
+        this.playing = false; // Wants to play (even while a seek is under way)
+        this.speed = 1;
+        this.seeking = false;
+        this.seekId = 0; // Bumped by every seek, so a superseded one gives up
+        this.timer = null;
+        this.closed = false;
+
+        // Callbacks for state snapshots, playback changes and playback failures
+        this.onFrameCallbacks = [];
+        this.onStatusCallbacks = [];
+        this.onErrorCallbacks = [];
+
+        this._rewind();
+    }
+
+    // Names of the replay files in a directory, newest first
+    static async list(directory = DEFAULT_REPLAY_PLAYER_CONFIG.directory) {
+        let names;
+        try {
+            names = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return []; // Nothing recorded yet
+            throw error;
+        }
+        return names.filter(name => name.endsWith(ReplayRecorder.EXTENSION)).sort().reverse();
+    }
+
+    // Load a replay file by name and check this server can play it back
+    // Throws ReplayError for unknown names, unreadable files and files from other versions
+    static async load(name, config = {}) {
+        const directory = config.directory || DEFAULT_REPLAY_PLAYER_CONFIG.directory;
+        if (typeof name !== 'string' || path.basename(name) !== name || !name.endsWith(ReplayRecorder.EXTENSION)) {
+            throw new ReplayError('Unknown replay');
+        }
+
+        let replay;
+        try {
+            replay = JSON.parse(await gunzip(await fs.promises.readFile(path.join(directory, name))));
+        } catch (error) {
+            throw new ReplayError(error.code === 'ENOENT' ? 'Unknown replay' : 'Unreadable replay file');
+        }
+        ReplayPlayer.validate(replay);
+        return new ReplayPlayer(replay, config);
+    }
+
+    // Throw ReplayError unless a parsed replay file is one this server plays back as recorded
+    static validate(replay) {
+        if (!replay || replay.format !== ReplayRecorder.FORMAT || !Array.isArray(replay.commands) || !replay.settings) {
+            throw new ReplayError('Not a replay file');
+        }
+        if (replay.formatVersion !== ReplayRecorder.FORMAT_VERSION ||
+            replay.protocolVersion !== GameProtocol.PROTOCOL_VERSION ||
+            replay.simulationVersion !== GameServer.SIMULATION_VERSION) {
+            console.log(`Replay versions format ${replay.formatVersion}, protocol ${replay.protocolVersion}, simulation ${replay.simulationVersion} ` +
+                `(server ${ReplayRecorder.FORMAT_VERSION}, ${GameProtocol.PROTOCOL_VERSION}, ${GameServer.SIMULATION_VERSION})`);
+            throw new ReplayError('Replay from another game version');
+        }
+    }
+
+    // Current tick of the re-simulation
+    get tick() {
+        return this.gameServer.gameState.tick;
+    }
+
+    // Where playback is: { tick, endTick, tickRate, playing, speed, seeking }
+    getStatus() {
+        return {
+            tick: this.tick,
+            endTick: this.endTick,
+            tickRate: this.gameServer.getTickRate(),
+            playing: this.playing,
+            speed: this.speed,
+            seeking: this.seeking
+        };
+    }
+
+    // Play from the current tick (from the start if playback had reached the end)
+    // Resolves once playing, or rejects if rewinding the re-simulation failed (as seek)
+    async play() {
+        if (this.playing) return;
+        this.playing = true;
+        if (this.tick >= this.endTick) {
+            await this.seek(0);
+            return;
+        }
+        this._schedule();
+        this._emitStatus('play');
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this._cancelTimer();
+        this._emitStatus('pause');
+    }
+
+    // Play at the given speed (clamped to minSpeed..maxSpeed)
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+        this.speed = Math.max(this.config.minSpeed, Math.min(this.config.maxSpeed, speed));
+        this._emitStatus('speed');
+    }
+
+    // Jump to a tick (clamped to the replay), re-simulating everything up to it
+    // Resolves once the seek is done or has been superseded by a later one
+    async seek(tick) {
+        const target = Math.max(0, Math.min(this.endTick, Math.floor(tick) || 0));
+        const seekId = ++this.seekId;
+        this._cancelTimer();
+        this.seeking = true;
+        this._emitStatus('seeking');
+
+        if (target < this.tick) {
+            this._rewind();
+        }
+        while (this.tick < target) {
+            const chunkEnd = Math.min(target, this.tick + this.config.seekChunkTicks);
+            while (this.tick < chunkEnd) {
+                this._step();
+            }
+            await new Promise(resolve => setImmediate(resolve));
+            if (seekId !== this.seekId || this.closed) return;
+        }
+
+        // Announce the jump before the first snapshot after it, so viewers can drop older ones
+        this.seeking = false;
+        this._emitStatus('seek');
+        this._emitFrame(this.gameServer.gameState.getStateSnapshot());
+        if (this.playing) {
+            this._schedule();
+        }
+    }
+
+    // Stop playback for good
+    close() {
+        this.closed = true;
+        this.playing = false;
+        this._cancelTimer();
+    }
+
+    // Register callback for state snapshots (callback(state), as GameServer.onStateUpdate)
+    onFrame(callback) {
+        this.onFrameCallbacks.push(callback);
+    }
+
+    // Register callback for playback changes (callback(event, status) - see getStatus)
+    // Events: play, pause, speed, seeking, seek, ended
+    onStatus(callback) {
+        this.onStatusCallbacks.push(callback);
+    }
+
+    // Register callback for a tick that failed to simulate while playing (callback(error))
+    // Playback is closed by then; seek and play report their failures by rejecting instead
+    onError(callback) {
+        this.onErrorCallbacks.push(callback);
+    }
+
+    // Start the re-simulation over from tick 0
+    _rewind() {
+        this.gameServer = new GameServer();
+        this.gameServer.initialize(this.replay.settings);
+        this.gameServer.onStateUpdate(state => {
+            if (!this.seeking) this._emitFrame(state);
+        });
+        this.nextCommand = 0;
+    }
+
+    // Apply the commands recorded after the current tick, then run the next tick
+    _step() {
+        const tick = this.tick;
+        while (this.nextCommand < this.commands.length && this.commands[this.nextCommand].tick <= tick) {
+            this.gameServer.executeCommand(this.commands[this.nextCommand].command);
+            this.nextCommand++;
+        }
+        this.gameServer.gameLoop.update(this.gameServer.gameLoop.tickSeconds);
+    }
+
+    // Run the next tick when it is due at the playback speed
+    _schedule() {
+        this._cancelTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.playing || this.seeking || this.closed) return;
+
+            // Nothing above this timer would catch the error, so it stops playback here
+            try {
+                this._step();
+            } catch (error) {
+                this.close();
+                this.onErrorCallbacks.forEach(callback => callback(error));
+                return;
+            }
+            if (this.tick >= this.endTick) {
+                this.playing = false;
+                this._emitStatus('ended');
+                return;
+            }
+            this._schedule();
+        }, this.gameServer.gameLoop.updateInterval / this.speed);
+    }
+
+    _cancelTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _emitFrame(state) {
+        this.onFrameCallbacks.forEach(callback => callback(state));
+    }
+
+    _emitStatus(event) {
+        const status = this.getStatus();
+        this.onStatusCallbacks.forEach(callback => callback(event, status));
+    }
+}
+
+ReplayPlayer.DEFAULT_CONFIG = DEFAULT_REPLAY_PLAYER_CONFIG;
+ReplayPlayer.ReplayError = ReplayError;
+
+module.exports = ReplayPlayer;
@@ -0,0 +1,129 @@
+// Replay Recorder - Writes a game to disk so it can be watched again (see ReplayPlayer)
+// A game is fully described by its settings (seed and level included) and the commands that
+// reached it from outside the loop (joins, inputs, continues, ...) with the tick they arrived
+// after: the fixed-step loop and seeded random replay everything else exactly
+//
+// Replay file: gzipped JSON
+//   { format, formatVersion, protocolVersion, simulationVersion, roomCode, recordedAt,
+//     endTick, truncated, settings, commands: [[tick, type, playerId, ...input or coins], ...] }
+// The versions let a later server refuse files it would no longer play back faithfully
+//
+// A running game is saved again and again to the same file (see GameServer), each save replacing
+// the last whole, so a crash loses at most the commands since the latest one
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+const GameProtocol = require('../shared/game-protocol-shared');
+
+// Default recorder settings (overridden by server configuration)
+const DEFAULT_REPLAY_RECORDER_CONFIG = {
+    directory: process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays'), // Where replay files go
+    maxTicks: Infinity // Commands after this many ticks are not recorded (the replay ends there)
+};
+
+// File format identification - bump FORMAT_VERSION whenever the file layout changes
+const REPLAY_FORMAT = 'galactic-taxi-replay';
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_EXTENSION = '.replay';
+
+const gzip = util.promisify(zlib.gzip);
+
+class ReplayRecorder {
+    // header: { roomCode, simulationVersion, settings } - see GameServer.initialize
+    constructor(header, config = {}) {
+        this.config = Object.assign({}, DEFAULT_REPLAY_RECORDER_CONFIG, config);
+        this.header = header;
+        this.recordedAt = new Date();
+        this.commands = []; // Packed commands, oldest first
+        this.truncated = false; // Ran past maxTicks
+        this.lastSave = Promise.resolve(null); // Saves are written one at a time, in order
+    }
+
+    // Pack a command for the file: [tick, type, playerId] plus [sequence, clientTick, buttons] for
+    // inputs or [coins] for coins
+    static packCommand(tick, command) {
+        const entry = [tick, command.type, command.playerId];
+        if (command.input) {
+            entry.push(command.input.sequence, command.input.clientTick, command.input.buttons);
+        } else if (command.coins !== undefined) {
+            entry.push(command.coins);
+        }
+        return entry;
+    }
+
+    // Unpack a command from a file: { tick, command }
+    static unpackCommand(entry) {
+        const command = { type: entry[1], playerId: entry[2] };
+        if (entry.length > 4) {
+            command.input = { sequence: entry[3], clientTick: entry[4], buttons: entry[5] };
+        } else if (entry.length > 3) {
+            command.coins = entry[3];
+        }
+        return { tick: entry[0], command: command };
+    }
+
+    // Record a command applied after the given tick
+    record(tick, command) {
+        if (tick >= this.config.maxTicks) {
+            if (!this.truncated) {
+                console.log(`Replay of room ${this.header.roomCode} reached ${this.config.maxTicks} ticks - recording stopped`);
+                this.truncated = true;
+            }
+            return;
+        }
+        this.commands.push(ReplayRecorder.packCommand(tick, command));
+    }
+
+    // Write the replay, ending at the given tick (games nobody joined, or that stopped before
+    // their first tick, are not worth keeping)
+    // Resolves with the file path, or null if nothing was written; never rejects
+    save(endTick) {
+        // Snapshot what is recorded now - the game may record more before an earlier save is done
+        const commands = this.commands.slice();
+        const truncated = this.truncated;
+        this.lastSave = this.lastSave.then(() => this._write(endTick, commands, truncated));
+        return this.lastSave;
+    }
+
+    async _write(endTick, commands, truncated) {
+        if (commands.length === 0 || endTick <= 0) return null;
+
+        const replay = {
+            format: REPLAY_FORMAT,
+            formatVersion: REPLAY_FORMAT_VERSION,
+            protocolVersion: GameProtocol.PROTOCOL_VERSION,
+            simulationVersion: this.header.simulationVersion,
+            roomCode: this.header.roomCode,
+            recordedAt: this.recordedAt.toISOString(),
+            endTick: Math.min(endTick, this.config.maxTicks),
+            truncated: truncated,
+            settings: this.header.settings,
+            commands: commands
+        };
+
+        // Written beside the file and renamed over it, so a crash mid-write keeps the previous save
+        const name = `${this.recordedAt.toISOString().replace(/[:.]/g, '-')}-${this.header.roomCode || 'game'}${REPLAY_EXTENSION}`;
+        const filePath = path.join(this.config.directory, name);
+        const partialPath = `${filePath}.partial`;
+        try {
+            const data = await gzip(JSON.stringify(replay));
+            await fs.promises.mkdir(this.config.directory, { recursive: true });
+            await fs.promises.writeFile(partialPath, data);
+            await fs.promises.rename(partialPath, filePath);
+        } catch (error) {
+            console.error(`Could not save replay ${filePath}:`, error);
+            return null;
+        }
+        console.log(`Saved replay ${name}: ${replay.endTick} ticks, ${commands.length} commands`);
+        return filePath;
+    }
+}
+
+ReplayRecorder.DEFAULT_CONFIG = DEFAULT_REPLAY_RECORDER_CONFIG;
+ReplayRecorder.FORMAT = REPLAY_FORMAT;
+ReplayRecorder.FORMAT_VERSION = REPLAY_FORMAT_VERSION;
+ReplayRecorder.EXTENSION = REPLAY_EXTENSION;
+
+module.exports = ReplayRecorder;
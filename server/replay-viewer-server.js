@@ -0,0 +1,192 @@
+// Replay Viewer - Serves one replay viewer connection (/ws?replay=NAME)
+// The viewer gets the same handshake, level and GAME_STATE snapshots a player would, from a
+// ReplayPlayer instead of a room's game, and drives playback with REPLAY_CONTROL messages
+// Viewers never join a room and have no taxi; they follow one of the replay's taxis instead
+
+const GameProtocol = require('../shared/game-protocol-shared');
+const ClockSync = require('../shared/clock-sync-shared');
+const SnapshotEncoder = require('./snapshot-encoder-server');
+const ReplayPlayer = require('./replay-player-server');
+
+const MESSAGE_TYPE = GameProtocol.MESSAGE_TYPE;
+const REPLAY_ACTION = GameProtocol.REPLAY_ACTION;
+
+class ReplayViewer {
+    constructor(connection, replayName) {
+        this.connection = connection;
+        this.replayName = replayName;
+        this.replayPlayer = null; // Set once the file has loaded
+        this.welcomed = false;    // Client said HELLO with our protocol version
+        this.closed = false;
+        this.followId = null;     // Taxi (player or AI player id) the viewer's camera follows
+        this.followChosen = false; // Viewer picked the taxi with FOLLOW (until then, players come first)
+    }
+
+    // Load the replay and start playing it once the client has said HELLO
+    // Files that can't be played back close the connection with REPLAY_REJECTED
+    async open() {
+        let replayPlayer;
+        try {
+            replayPlayer = await ReplayPlayer.load(this.replayName);
+        } catch (error) {
+            // Anything else is a file that passed the checks but still can't be simulated
+            if (!(error instanceof ReplayPlayer.ReplayError)) {
+                console.error(`[ReplayViewer] Replay ${this.replayName} failed to load:`, error);
+                error = new ReplayPlayer.ReplayError('Unreadable replay file');
+            }
+            console.log(`[ReplayViewer] Cannot play replay ${this.replayName}: ${error.message}`);
+            this.connection.socket.close(GameProtocol.CLOSE_CODE.REPLAY_REJECTED, error.message);
+            return;
+        }
+        if (this.closed) return;
+
+        this.replayPlayer = replayPlayer;
+        replayPlayer.onFrame(state => this._sendFrame(state));
+        replayPlayer.onStatus(event => this._sendStatus(event));
+        replayPlayer.onError(error => this._failPlayback(error));
+        console.log(`[ReplayViewer] Loaded replay ${this.replayName} (${replayPlayer.endTick} ticks)`);
+        this._start();
+    }
+
+    // Handle a decoded message from the viewer's client
+    handleMessage(messageType, body) {
+        if (messageType === MESSAGE_TYPE.HELLO) {
+            this._handleHello(body);
+        } else if (messageType === MESSAGE_TYPE.PING) {
+            this._send(MESSAGE_TYPE.PONG, ClockSync.createPong(body));
+        } else if (messageType === MESSAGE_TYPE.REPLAY_CONTROL) {
+            this._handleControl(body);
+        }
+        // Anything else (inputs, acks, STOP_GAME, ...) means nothing to a replay
+    }
+
+    // Connection closed - stop playback
+    close() {
+        this.closed = true;
+        if (this.replayPlayer) {
+            this.replayPlayer.close();
+        }
+    }
+
+    // Check the client's protocol version, as for players (see MessageHandler._handleHello)
+    _handleHello(hello) {
+        if (hello.protocolVersion !== GameProtocol.PROTOCOL_VERSION) {
+            this.connection.socket.close(GameProtocol.CLOSE_CODE.PROTOCOL_MISMATCH,
+                `Protocol version ${GameProtocol.PROTOCOL_VERSION} required, client sent ${hello.protocolVersion}`);
+            return;
+        }
+        this.welcomed = true;
+        this._start();
+    }
+
+    // Once both the file and the client are ready: WELCOME, level, status, then play from the start
+    _start() {
+        if (!this.replayPlayer || !this.welcomed) return;
+
+        const gameServer = this.replayPlayer.gameServer;
+        this._send(MESSAGE_TYPE.WELCOME, {
+            protocolVersion: GameProtocol.PROTOCOL_VERSION,
+            playerId: null,
+            spectator: true,
+            tickRate: gameServer.getTickRate(),
+            serverTime: ClockSync.now(),
+            world: gameServer.getWorldConfig(),
+            physics: gameServer.getPhysicsConfig()
+        });
+        const level = gameServer.getLevelData();
+        if (level) {
+            this._send(MESSAGE_TYPE.LEVEL_DATA, level);
+        }
+        this._sendStatus('loaded');
+        this._watchPlayback(this.replayPlayer.play());
+    }
+
+    _handleControl(control) {
+        if (!this.replayPlayer) return;
+
+        if (control.action === REPLAY_ACTION.PLAY) {
+            this._watchPlayback(this.replayPlayer.play());
+        } else if (control.action === REPLAY_ACTION.PAUSE) {
+            this.replayPlayer.pause();
+        } else if (control.action === REPLAY_ACTION.SEEK) {
+            this._watchPlayback(this.replayPlayer.seek(control.tick));
+        } else if (control.action === REPLAY_ACTION.SPEED) {
+            this.replayPlayer.setSpeed(control.speed);
+        } else if (control.action === REPLAY_ACTION.FOLLOW) {
+            this._followNextTaxi();
+            this._sendStatus('follow');
+        }
+    }
+
+    // Seeks re-simulate the recording; if that throws, the replay can't be watched any further
+    _watchPlayback(promise) {
+        promise.catch(error => this._failPlayback(error));
+    }
+
+    // A tick of the recording failed to simulate (seeking or playing) - close the viewer
+    _failPlayback(error) {
+        console.error(`[ReplayViewer] Replay ${this.replayName} failed during playback:`, error);
+        this.replayPlayer.close();
+        this.connection.socket.close(GameProtocol.CLOSE_CODE.REPLAY_REJECTED, 'Replay failed to play');
+    }
+
+    // Follow the taxi after the current one (players first, then AI taxis)
+    _followNextTaxi() {
+        const taxis = this.replayPlayer.gameServer.gameState.getAllTaxis();
+        const index = taxis.findIndex(taxi => taxi.id === this.followId);
+        const next = taxis[(index + 1) % taxis.length];
+        this.followId = next ? next.id : null;
+        this.followChosen = true;
+    }
+
+    // The followed taxi, falling back to the first one when it has left (or none was picked yet)
+    // Replays start before anyone has joined, so an AI taxi picked as fallback gives way to the first player
+    _getFollowedTaxi() {
+        const gameState = this.replayPlayer.gameServer.gameState;
+        let taxi = gameState.getPlayer(this.followId) || gameState.getAIPlayer(this.followId);
+        const playerWaiting = !this.followChosen && !gameState.getPlayer(this.followId) && gameState.getAllPlayers().length > 0;
+        if (!taxi || playerWaiting) {
+            taxi = gameState.getAllTaxis()[0] || null;
+            this.followId = taxi ? taxi.id : null;
+        }
+        return taxi;
+    }
+
+    // Send a full snapshot (seeks make deltas pointless), naming the followed taxi as "ours"
+    _sendFrame(state) {
+        if (!this.welcomed) return;
+        const taxi = this._getFollowedTaxi();
+        const recipient = taxi ? { netId: taxi.netId, lastProcessedInputSeq: taxi.lastProcessedInputSeq || 0 } : null;
+        const frame = SnapshotEncoder.createFrame(state, ClockSync.now());
+        this._send(MESSAGE_TYPE.GAME_STATE, SnapshotEncoder.encode(frame, null, recipient));
+    }
+
+    // Tell the viewer where playback is (see ReplayPlayer.getStatus) and who it follows
+    _sendStatus(event) {
+        if (!this.welcomed) return;
+        this._getFollowedTaxi();
+        this._send(MESSAGE_TYPE.REPLAY_STATUS, Object.assign({
+            event: event,
+            name: this.replayName,
+            following: this.followId
+        }, this.replayPlayer.getStatus()));
+    }
+
+    // Send a message, dropping it if it can't be encoded (as MessageHandler._encode)
+    _send(messageType, body) {
+        const socket = this.connection.socket;
+        if (this.closed || !socket || socket.readyState !== 1) return; // WebSocket.OPEN
+
+        let frame;
+        try {
+            frame = GameProtocol.encode(messageType, body);
+        } catch (error) {
+            if (!(error instanceof GameProtocol.ProtocolError)) throw error;
+            console.error(`[ReplayViewer] Cannot send message type ${messageType}: ${error.message}`);
+            return;
+        }
+        socket.send(frame);
+    }
+}
+
+module.exports = ReplayViewer;
@@ -0,0 +1,152 @@
+// Room Manager - Independent game sessions, each with its own GameServer (GameState, GameLoop)
+// Players join a room by code when they connect; a room is torn down when its last player leaves
+// Spectators watch a room without taking a player's place in it, and never keep it open
+
+const GameServer = require('./game-server');
+
+// Default room settings (overridden by server configuration)
+const DEFAULT_ROOM_CONFIG = {
+    maxPlayers: 4,   // Connections allowed per room
+    codeLength: 4    // Characters in generated join codes
+};
+
+// Join code alphabet (no 0/O or 1/I lookalikes)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_CODE_LENGTH = 12;
+
+class RoomManager {
+    constructor(config = {}) {
+        this.config = Object.assign({}, DEFAULT_ROOM_CONFIG, config);
+        this.rooms = new Map(); // code -> { code, gameServer, playerIds: Set, spectatorIds: Set }
+
+        // Callbacks for room lifecycle (message handler hooks up each room's game server)
+        this.onRoomCreatedCallbacks = [];
+        this.onRoomClosedCallbacks = [];
+    }
+
+    // Normalize a join code from a client (null if it has no usable characters)
+    static normalizeCode(code) {
+        if (typeof code !== 'string') return null;
+        const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, MAX_CODE_LENGTH);
+        return normalized.length > 0 ? normalized : null;
+    }
+
+    // Add a player to a room: the room with the given code (created if it doesn't exist yet),
+    // or a new room with a generated code when no code is given
+    // Returns the room, or null if the room is full
+    joinRoom(playerId, code = null) {
+        const roomCode = RoomManager.normalizeCode(code) || this._generateCode();
+        let room = this.rooms.get(roomCode);
+        if (!room) {
+            room = this._createRoom(roomCode);
+        }
+
+        if (room.playerIds.size >= this.config.maxPlayers) {
+            console.log(`Room ${roomCode} is full - ${playerId} turned away`);
+            return null;
+        }
+
+        room.playerIds.add(playerId);
+        console.log(`Player ${playerId} joined room ${roomCode} (${room.playerIds.size}/${this.config.maxPlayers})`);
+        return room;
+    }
+
+    // Remove a player from their room; the room closes when nobody is left
+    leaveRoom(playerId, room) {
+        if (!room || !room.playerIds.delete(playerId)) return;
+        console.log(`Player ${playerId} left room ${room.code} (${room.playerIds.size}/${this.config.maxPlayers})`);
+
+        if (room.playerIds.size === 0) {
+            this._closeRoom(room);
+        }
+    }
+
+    // Add a spectator to an open room: the room with the given code, or the one with the most
+    // players when no code is given (spectators never create rooms)
+    // Returns the room, or null if there is no such room
+    watchRoom(spectatorId, code = null) {
+        const roomCode = RoomManager.normalizeCode(code);
+        const room = roomCode
+            ? this.rooms.get(roomCode)
+            : this.getAllRooms().sort((a, b) => b.playerIds.size - a.playerIds.size)[0];
+        if (!room) {
+            console.log(`No room ${roomCode || 'open'} for spectator ${spectatorId} to watch`);
+            return null;
+        }
+
+        room.spectatorIds.add(spectatorId);
+        console.log(`Spectator ${spectatorId} watching room ${room.code} (${room.spectatorIds.size} watching)`);
+        return room;
+    }
+
+    // Remove a spectator from the room they watch (rooms don't wait for spectators)
+    stopWatching(spectatorId, room) {
+        if (!room || !room.spectatorIds.delete(spectatorId)) return;
+        console.log(`Spectator ${spectatorId} stopped watching room ${room.code} (${room.spectatorIds.size} watching)`);
+    }
+
+    getRoom(code) {
+        return this.rooms.get(code) || null;
+    }
+
+    getAllRooms() {
+        return Array.from(this.rooms.values());
+    }
+
+    // Close every room (the server is shutting down)
+    // Resolves once their replays are saved
+    closeAllRooms() {
+        return Promise.all(this.getAllRooms().map(room => this._closeRoom(room)));
+    }
+
+    // Register callback for new rooms: callback(room)
+    onRoomCreated(callback) {
+        this.onRoomCreatedCallbacks.push(callback);
+    }
+
+    // Register callback for closed rooms: callback(room)
+    onRoomClosed(callback) {
+        this.onRoomClosedCallbacks.push(callback);
+    }
+
+    _createRoom(code) {
+        const room = {
+            code: code,
+            gameServer: new GameServer(),
+            playerIds: new Set(),
+            spectatorIds: new Set()
+        };
+        this.rooms.set(code, room);
+        console.log(`Room ${code} created`);
+
+        this.onRoomCreatedCallbacks.forEach(callback => callback(room));
+        return room;
+    }
+
+    // Stop the room's game and forget it
+    // Returns a promise for the game's replay save (see GameServer.stop)
+    _closeRoom(room) {
+        const saved = room.gameServer.stop();
+        this.rooms.delete(room.code);
+        console.log(`Room ${room.code} closed`);
+
+        this.onRoomClosedCallbacks.forEach(callback => callback(room));
+        return saved;
+    }
+
+    // Random join code not used by an open room
+    _generateCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < this.config.codeLength; i++) {
+                code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+RoomManager.DEFAULT_CONFIG = DEFAULT_ROOM_CONFIG;
+
+module.exports = RoomManager;
@@ -0,0 +1,45 @@
+// Seeded Random - Reproducible pseudo-random numbers for the simulation
+// Everything random in a game (passenger spawns, destinations, ...) draws from the game's
+// SeededRandom instead of Math.random(), so the same seed and the same inputs replay the same game
+//
+// Generator: mulberry32 (32-bit state, fast, good enough for gameplay - not for secrets)
+
+const crypto = require('crypto');
+
+class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Fresh unpredictable seed (for games that don't ask for a particular one)
+    static createSeed() {
+        return crypto.randomBytes(4).readUInt32LE(0);
+    }
+
+    // Next number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Number in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, count)
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    // Random element of a list (undefined for an empty list)
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,61 @@
+// Session Token - Signed tokens that let a reconnecting client reclaim its player
+// The server hands one to each client on connect (SESSION message); presenting it again
+// (/ws?session=TOKEN) resumes the same player in the same room while the player is still
+// in the game (see GameServer disconnect grace period)
+//
+// Token format: base64url(JSON { playerId, roomCode, issuedAt }) + '.' + base64url(HMAC-SHA256)
+
+const crypto = require('crypto');
+
+// Default token settings
+const DEFAULT_SESSION_TOKEN_CONFIG = {
+    maxAgeSeconds: 24 * 60 * 60 // Tokens older than this are refused even if the player is still around
+};
+
+// Signing key - set SESSION_SECRET to keep tokens valid across server restarts
+// (without it a fresh key is generated, and a restart invalidates every session anyway)
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+class SessionToken {
+    // Sign a session: { playerId, roomCode }
+    static create(session) {
+        const body = Buffer.from(JSON.stringify({
+            playerId: session.playerId,
+            roomCode: session.roomCode,
+            issuedAt: Date.now()
+        }), 'utf8').toString('base64url');
+        return `${body}.${SessionToken._sign(body)}`;
+    }
+
+    // Check a token from a client
+    // Returns { playerId, roomCode, issuedAt }, or null if it is malformed, forged or expired
+    static verify(token, config = DEFAULT_SESSION_TOKEN_CONFIG) {
+        if (typeof token !== 'string') return null;
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return null;
+
+        const expected = Buffer.from(SessionToken._sign(body));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (typeof session.playerId !== 'string' || typeof session.roomCode !== 'string') return null;
+        if (!(Date.now() - session.issuedAt <= config.maxAgeSeconds * 1000)) return null;
+        return session;
+    }
+
+    static _sign(body) {
+        return crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    }
+}
+
+SessionToken.DEFAULT_CONFIG = DEFAULT_SESSION_TOKEN_CONFIG;
+
+module.exports = SessionToken;
@@ -0,0 +1,48 @@
+// Snapshot Encoder - Packs GameState snapshots into binary GAME_STATE payloads
+// The payload layout, field schemas and quantization live in shared/snapshot-codec-shared.js,
+// which the client decodes with; this turns the server's game state into frames for it
+//
+// Snapshots are delta-compressed per client: each payload names the baseline tick the
+// client last acknowledged and only carries fields that changed since then.
+// A baseline tick of 0 means a full snapshot (every entity, every field).
+
+const SnapshotCodec = require('../shared/snapshot-codec-shared');
+
+const ENTITY_KIND = SnapshotCodec.ENTITY_KIND;
+const ENTITY_SCHEMA = SnapshotCodec.ENTITY_SCHEMA;
+
+class SnapshotEncoder {
+    // Quantize a GameState.getStateSnapshot() result into a frame
+    // Frames are immutable and shared between all connections' histories
+    // frame: { tick, serverTime, entities: Map(key -> { kind, netId, values: [int] }) }
+    static createFrame(snapshot, serverTime = 0) {
+        const entities = new Map();
+        const addEntities = (kind, list, idField) => {
+            list.forEach(entity => {
+                const netId = entity[idField] & 0xffff;
+                const values = ENTITY_SCHEMA[kind].map(field => SnapshotCodec.quantizeField(field, entity));
+                entities.set(SnapshotCodec.entityKey(kind, netId), { kind, netId, values });
+            });
+        };
+
+        addEntities(ENTITY_KIND.PLAYER, snapshot.players, 'netId');
+        addEntities(ENTITY_KIND.AI_PLAYER, snapshot.aiPlayers, 'netId');
+        addEntities(ENTITY_KIND.PROJECTILE, snapshot.projectiles, 'id');
+        addEntities(ENTITY_KIND.PASSENGER, snapshot.passengers || [], 'netId');
+
+        return { tick: snapshot.tick >>> 0, serverTime, entities };
+    }
+
+    // Encode a frame as a delta against a baseline frame (null = full snapshot)
+    // recipient: { netId, lastProcessedInputSeq } of the receiving client's taxi (if any)
+    static encode(frame, baseline = null, recipient = null) {
+        return SnapshotCodec.encode(frame, baseline, recipient);
+    }
+}
+
+SnapshotEncoder.POSITION_SCALE = SnapshotCodec.POSITION_SCALE;
+SnapshotEncoder.VELOCITY_SCALE = SnapshotCodec.VELOCITY_SCALE;
+SnapshotEncoder.ENTITY_KIND = ENTITY_KIND;
+SnapshotEncoder.SNAPSHOT_FLAG = SnapshotCodec.SNAPSHOT_FLAG;
+
+module.exports = SnapshotEncoder;
@@ -0,0 +1,326 @@
+// TMX Loader - Parses Tiled (.tmx) maps into plain level data for GameWorld
+// Supports orthogonal maps with tilesets (inline or external .tsx), tile layers
+// (CSV, base64, base64+zlib, base64+gzip or plain XML tiles), image layers and object groups
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Tiled stores flip/rotation flags in the top 3 bits of each gid
+const GID_MASK = 0x1fffffff;
+
+class TmxLoader {
+    // Load and parse a .tmx file
+    // assetRoot: directory the client serves files from (image sources are made relative to it)
+    static loadFile(filePath, assetRoot = path.dirname(filePath)) {
+        const xml = fs.readFileSync(filePath, 'utf8');
+        const level = TmxLoader.parse(xml, {
+            basePath: path.dirname(filePath),
+            assetRoot: assetRoot
+        });
+        level.name = path.basename(filePath, path.extname(filePath));
+        return level;
+    }
+
+    // Parse TMX XML text into level data
+    static parse(xml, options = {}) {
+        const basePath = options.basePath || '.';
+        const assetRoot = options.assetRoot || basePath;
+        const map = TmxLoader._parseXml(xml).children.find(node => node.name === 'map');
+        if (!map) {
+            throw new Error('TMX: missing <map> element');
+        }
+
+        const attributes = map.attributes;
+        if (attributes.orientation && attributes.orientation !== 'orthogonal') {
+            throw new Error(`TMX: unsupported orientation "${attributes.orientation}"`);
+        }
+
+        const level = {
+            name: null,
+            columns: TmxLoader._int(attributes.width),
+            rows: TmxLoader._int(attributes.height),
+            tileWidth: TmxLoader._int(attributes.tilewidth),
+            tileHeight: TmxLoader._int(attributes.tileheight),
+            properties: TmxLoader._parseProperties(map),
+            tilesets: [],
+            tileLayers: [],
+            imageLayers: [],
+            objectGroups: []
+        };
+
+        // Layers keep their document order (which is also the draw order)
+        map.children.forEach(node => {
+            if (node.name === 'tileset') {
+                level.tilesets.push(TmxLoader._parseTileset(node, basePath, assetRoot));
+            } else if (node.name === 'layer') {
+                level.tileLayers.push(TmxLoader._parseTileLayer(node));
+            } else if (node.name === 'imagelayer') {
+                level.imageLayers.push(TmxLoader._parseImageLayer(node, basePath, assetRoot));
+            } else if (node.name === 'objectgroup') {
+                level.objectGroups.push(TmxLoader._parseObjectGroup(node));
+            }
+        });
+
+        return level;
+    }
+
+    // Tileset (inline, or external .tsx referenced by source)
+    static _parseTileset(node, basePath, assetRoot) {
+        const firstGid = TmxLoader._int(node.attributes.firstgid);
+        let tilesetNode = node;
+        let tilesetPath = basePath;
+
+        if (node.attributes.source) {
+            const sourcePath = path.resolve(basePath, node.attributes.source);
+            tilesetNode = TmxLoader._parseXml(fs.readFileSync(sourcePath, 'utf8'))
+                .children.find(child => child.name === 'tileset');
+            if (!tilesetNode) {
+                throw new Error(`TMX: missing <tileset> element in ${node.attributes.source}`);
+            }
+            tilesetPath = path.dirname(sourcePath);
+        }
+
+        const attributes = tilesetNode.attributes;
+        const imageNode = TmxLoader._child(tilesetNode, 'image');
+
+        // Per-tile properties (keyed by local tile id)
+        const tiles = {};
+        TmxLoader._children(tilesetNode, 'tile').forEach(tileNode => {
+            tiles[TmxLoader._int(tileNode.attributes.id)] = {
+                type: tileNode.attributes.type || tileNode.attributes.class || null,
+                properties: TmxLoader._parseProperties(tileNode)
+            };
+        });
+
+        return {
+            firstGid: firstGid,
+            name: attributes.name || '',
+            tileWidth: TmxLoader._int(attributes.tilewidth),
+            tileHeight: TmxLoader._int(attributes.tileheight),
+            tileCount: TmxLoader._int(attributes.tilecount),
+            columns: TmxLoader._int(attributes.columns),
+            spacing: TmxLoader._int(attributes.spacing),
+            margin: TmxLoader._int(attributes.margin),
+            image: imageNode ? TmxLoader._parseImage(imageNode, tilesetPath, assetRoot) : null,
+            properties: TmxLoader._parseProperties(tilesetNode),
+            tiles: tiles
+        };
+    }
+
+    // Tile layer - data becomes a flat row-major array of gids (0 = empty)
+    static _parseTileLayer(node) {
+        const width = TmxLoader._int(node.attributes.width);
+        const height = TmxLoader._int(node.attributes.height);
+        const dataNode = TmxLoader._child(node, 'data');
+        if (!dataNode) {
+            throw new Error(`TMX: tile layer "${node.attributes.name}" has no <data>`);
+        }
+        if (TmxLoader._children(dataNode, 'chunk').length > 0) {
+            throw new Error(`TMX: infinite maps (chunked layer "${node.attributes.name}") are not supported`);
+        }
+
+        const gids = TmxLoader._decodeTileData(dataNode, width * height);
+        if (gids.length !== width * height) {
+            throw new Error(`TMX: tile layer "${node.attributes.name}" has ${gids.length} tiles, expected ${width * height}`);
+        }
+
+        return {
+            name: node.attributes.name || '',
+            width: width,
+            height: height,
+            visible: node.attributes.visible !== '0',
+            opacity: TmxLoader._float(node.attributes.opacity, 1),
+            properties: TmxLoader._parseProperties(node),
+            // Flip flags are dropped - the game does not use flipped tiles
+            data: gids.map(gid => (gid & GID_MASK) >>> 0)
+        };
+    }
+
+    // Decode <data> in any of Tiled's encodings
+    static _decodeTileData(dataNode, tileCount) {
+        const encoding = dataNode.attributes.encoding || 'xml';
+        const compression = dataNode.attributes.compression || '';
+
+        if (encoding === 'xml') {
+            return TmxLoader._children(dataNode, 'tile').map(tile => TmxLoader._uint(tile.attributes.gid));
+        }
+
+        if (encoding === 'csv') {
+            return dataNode.text.split(',')
+                .map(value => value.trim())
+                .filter(value => value.length > 0)
+                .map(value => TmxLoader._uint(value));
+        }
+
+        if (encoding !== 'base64') {
+            throw new Error(`TMX: unsupported tile data encoding "${encoding}"`);
+        }
+
+        let bytes = Buffer.from(dataNode.text.trim(), 'base64');
+        if (compression === 'zlib') {
+            bytes = zlib.inflateSync(bytes);
+        } else if (compression === 'gzip') {
+            bytes = zlib.gunzipSync(bytes);
+        } else if (compression) {
+            throw new Error(`TMX: unsupported tile data compression "${compression}"`);
+        }
+
+        if (bytes.length !== tileCount * 4) {
+            throw new Error(`TMX: tile data is ${bytes.length} bytes, expected ${tileCount * 4}`);
+        }
+
+        const gids = [];
+        for (let offset = 0; offset < bytes.length; offset += 4) {
+            gids.push(bytes.readUInt32LE(offset));
+        }
+        return gids;
+    }
+
+    // Image layer (e.g. the city background)
+    static _parseImageLayer(node, basePath, assetRoot) {
+        const imageNode = TmxLoader._child(node, 'image');
+        return {
+            name: node.attributes.name || '',
+            offsetX: TmxLoader._float(node.attributes.offsetx, 0),
+            offsetY: TmxLoader._float(node.attributes.offsety, 0),
+            visible: node.attributes.visible !== '0',
+            opacity: TmxLoader._float(node.attributes.opacity, 1),
+            image: imageNode ? TmxLoader._parseImage(imageNode, basePath, assetRoot) : null,
+            properties: TmxLoader._parseProperties(node)
+        };
+    }
+
+    // Object group (e.g. "Platforms")
+    static _parseObjectGroup(node) {
+        return {
+            name: node.attributes.name || '',
+            visible: node.attributes.visible !== '0',
+            properties: TmxLoader._parseProperties(node),
+            objects: TmxLoader._children(node, 'object').map(objectNode => ({
+                id: TmxLoader._int(objectNode.attributes.id),
+                name: objectNode.attributes.name || '',
+                // Tiled 1.9+ writes "class", older versions "type"
+                type: objectNode.attributes.type || objectNode.attributes.class || '',
+                x: TmxLoader._float(objectNode.attributes.x, 0),
+                y: TmxLoader._float(objectNode.attributes.y, 0),
+                width: TmxLoader._float(objectNode.attributes.width, 0),
+                height: TmxLoader._float(objectNode.attributes.height, 0),
+                properties: TmxLoader._parseProperties(objectNode)
+            }))
+        };
+    }
+
+    // Image reference - source is made relative to the client's asset root (URL style)
+    static _parseImage(node, basePath, assetRoot) {
+        const absolute = path.resolve(basePath, node.attributes.source || '');
+        return {
+            source: path.relative(assetRoot, absolute).split(path.sep).join('/'),
+            width: TmxLoader._int(node.attributes.width),
+            height: TmxLoader._int(node.attributes.height)
+        };
+    }
+
+    // <properties><property name type value/></properties> -> { name: value }
+    static _parseProperties(node) {
+        const properties = {};
+        const propertiesNode = TmxLoader._child(node, 'properties');
+        if (!propertiesNode) return properties;
+
+        TmxLoader._children(propertiesNode, 'property').forEach(property => {
+            const attributes = property.attributes;
+            const raw = attributes.value !== undefined ? attributes.value : property.text;
+            let value = raw;
+            if (attributes.type === 'bool') {
+                value = raw === 'true';
+            } else if (attributes.type === 'int') {
+                value = TmxLoader._int(raw);
+            } else if (attributes.type === 'float') {
+                value = TmxLoader._float(raw, 0);
+            }
+            properties[attributes.name] = value;
+        });
+        return properties;
+    }
+
+    static _child(node, name) {
+        return node.children.find(child => child.name === name) || null;
+    }
+
+    static _children(node, name) {
+        return node.children.filter(child => child.name === name);
+    }
+
+    static _int(value) {
+        return value === undefined ? 0 : parseInt(value, 10) || 0;
+    }
+
+    static _uint(value) {
+        return (Number(value) || 0) >>> 0;
+    }
+
+    static _float(value, fallback) {
+        const parsed = parseFloat(value);
+        return Number.isNaN(parsed) ? fallback : parsed;
+    }
+
+    // Minimal XML parser - enough for Tiled's output (elements, attributes, text, comments)
+    // Returns a root node { name: null, attributes: {}, children: [], text: '' }
+    static _parseXml(xml) {
+        const root = { name: null, attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(xml)) !== null) {
+            const current = stack[stack.length - 1];
+            current.text += TmxLoader._decodeEntities(xml.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                // CDATA section
+                current.text += match[1];
+            } else if (match[2]) {
+                // Closing tag
+                if (stack.length === 1 || current.name !== match[2]) {
+                    throw new Error(`TMX: unexpected </${match[2]}>`);
+                }
+                stack.pop();
+            } else if (match[3]) {
+                // Opening or self-closing tag
+                const node = { name: match[3], attributes: {}, children: [], text: '' };
+                let attribute;
+                attributePattern.lastIndex = 0;
+                while ((attribute = attributePattern.exec(match[4])) !== null) {
+                    const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+                    node.attributes[attribute[1]] = TmxLoader._decodeEntities(value);
+                }
+                current.children.push(node);
+                if (!match[5]) {
+                    stack.push(node);
+                }
+            }
+            // Comments, processing instructions and DOCTYPE are skipped
+        }
+
+        if (stack.length !== 1) {
+            throw new Error(`TMX: unclosed <${stack[stack.length - 1].name}>`);
+        }
+        return root;
+    }
+
+    static _decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+            if (code[0] === '#') {
+                return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            }
+            return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code];
+        });
+    }
+}
+
+TmxLoader.GID_MASK = GID_MASK;
+
+module.exports = TmxLoader;
@@ -0,0 +1,128 @@
+// Clock Sync - Round-trip time, jitter and remote clock offset from PING/PONG exchanges
+// Loaded by the browser as a plain script and required by the Node server; each side keeps
+// one per connection and measures the other end the same way
+//
+// PING carries its send time on the sender's clock, PONG echoes it back with the time the
+// reply was sent on the responder's clock:
+//   rtt    = received - ping.sentAt
+//   offset = pong.sentAt + rtt / 2 - received   (remote clock = local clock + offset)
+// The offset comes from the lowest-RTT recent sample, where queueing delay distorts it least
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClockSync = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Default measurement settings
+    const DEFAULT_CONFIG = {
+        sampleCount: 8,         // Recent samples the offset is picked from
+        maxOutstandingPings: 8, // Unanswered pings remembered (older ones count as lost)
+        rttGain: 1 / 8,         // Smoothing of the RTT average (as TCP's SRTT)
+        jitterGain: 1 / 16      // Smoothing of the RTT variation (as RTP's interarrival jitter)
+    };
+
+    class ClockSync {
+        constructor(config = {}) {
+            this.config = Object.assign({}, DEFAULT_CONFIG, config);
+            this.reset();
+        }
+
+        // Local clock (ms) - monotonic, so wall clock changes don't skew measurements
+        static now() {
+            return performance.now();
+        }
+
+        // Answer a PING body ({ pingId, sentAt }) with a PONG body
+        static createPong(ping, now = ClockSync.now()) {
+            return { pingId: ping.pingId, echoSentAt: ping.sentAt, sentAt: now };
+        }
+
+        // Forget all measurements (new connection)
+        reset() {
+            this.nextPingId = 1;
+            this.outstandingPings = new Map(); // pingId -> sentAt
+            this.samples = [];                 // [{ rtt, offset }] oldest first
+            this.rtt = null;                   // Smoothed RTT (ms)
+            this.lastRtt = null;
+            this.jitter = 0;                   // Smoothed RTT variation (ms)
+            this.offset = 0;                   // Remote clock minus local clock (ms)
+            this.synced = false;               // Offset measured by at least one PING/PONG
+        }
+
+        // Body for the next PING (remembered until its PONG comes back)
+        createPing(now = ClockSync.now()) {
+            const ping = { pingId: this.nextPingId, sentAt: now };
+            this.nextPingId = (this.nextPingId + 1) >>> 0 || 1;
+
+            this.outstandingPings.set(ping.pingId, ping.sentAt);
+            if (this.outstandingPings.size > this.config.maxOutstandingPings) {
+                this.outstandingPings.delete(this.outstandingPings.keys().next().value);
+            }
+            return ping;
+        }
+
+        // Take a PONG body ({ pingId, echoSentAt, sentAt }) into account
+        // Returns the sample ({ rtt, offset }), or null for a PONG to a ping we didn't send (or
+        // already forgot) - RTT is measured from our own record, never from the echoed time alone
+        handlePong(pong, now = ClockSync.now()) {
+            const sentAt = this.outstandingPings.get(pong.pingId);
+            if (sentAt === undefined || sentAt !== pong.echoSentAt) return null;
+            this.outstandingPings.delete(pong.pingId);
+
+            const rtt = now - sentAt;
+            if (rtt < 0) return null;
+            const sample = { rtt, offset: pong.sentAt + rtt / 2 - now };
+
+            if (this.rtt === null) {
+                this.rtt = rtt;
+            } else {
+                this.rtt += (rtt - this.rtt) * this.config.rttGain;
+                this.jitter += (Math.abs(rtt - this.lastRtt) - this.jitter) * this.config.jitterGain;
+            }
+            this.lastRtt = rtt;
+
+            this.samples.push(sample);
+            if (this.samples.length > this.config.sampleCount) {
+                this.samples.shift();
+            }
+            this.offset = this.samples.reduce((best, candidate) => candidate.rtt < best.rtt ? candidate : best).offset;
+            this.synced = true;
+            return sample;
+        }
+
+        // Rough offset from a single remote timestamp (e.g. WELCOME) until PING/PONG measures it
+        // (off by the one-way delay)
+        estimateOffset(remoteTime, now = ClockSync.now()) {
+            if (!this.synced) {
+                this.offset = remoteTime - now;
+            }
+        }
+
+        // Map a local clock time onto the remote clock
+        toRemoteTime(localTime) {
+            return localTime + this.offset;
+        }
+
+        // Current time on the remote clock
+        remoteNow() {
+            return this.toRemoteTime(ClockSync.now());
+        }
+
+        // { rtt, lastRtt, jitter, offset, synced } - rtt and lastRtt are null until the first PONG
+        getStats() {
+            return {
+                rtt: this.rtt,
+                lastRtt: this.lastRtt,
+                jitter: this.jitter,
+                offset: this.offset,
+                synced: this.synced
+            };
+        }
+    }
+
+    ClockSync.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+    return ClockSync;
+});
@@ -0,0 +1,215 @@
+// Flight Physics - Shared taxi flight model (thrust, hover damping, lift, gravity, fuel)
+// Loaded by the browser as a plain script and required by the Node server,
+// so both sides step taxis with exactly the same rules
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FlightPhysics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Default flight model tuning (overridden by server/client configuration)
+    const DEFAULT_CONFIG = {
+        gravity: 9.81,               // Gravity in m/s² (Earth: 9.81)
+        pixelsPerMeter: 100,         // Scale: pixels per meter
+        thrusterForce: 1500,         // Thruster force in pixels/s² (strong enough to overcome gravity)
+        regularFlightThrust: 500,    // Constant upward thrust in regular flight mode (slows fall, weaker than W thrust)
+        hoverThrust: null,           // Hover thrust in pixels/s² (null = auto-calculate to match gravity)
+        hoverDamping: 800,           // Hover damping force in pixels/s² (slows velocity to zero)
+        taxiWidth: 85,               // Taxi collision width in pixels (matches Taxi-Left.png)
+        taxiHeight: 43,              // Taxi collision height in pixels (matches Taxi-Left.png)
+        safeLandingSpeed: 180,       // Fastest touchdown (pixels/s downward) that doesn't wreck the taxi
+        fuelCapacity: 100,           // Full tank in fuel units
+        thrusterBurnRate: 4,         // Fuel units per second for each firing thruster (W, A, S, D)
+        hoverBurnRate: 2,            // Fuel units per second while hover mode is engaged
+        fixedStep: 1 / 60            // Simulation step in seconds (both sides step at this rate)
+    };
+
+    // Input with no thrusters pressed
+    const NO_INPUT = Object.freeze({ w: false, a: false, s: false, d: false });
+
+    // Build a complete physics config from partial overrides
+    // Only known flight model keys are copied; undefined values keep the defaults
+    function createConfig(overrides = {}) {
+        const config = Object.assign({}, DEFAULT_CONFIG);
+        Object.keys(DEFAULT_CONFIG).forEach(key => {
+            if (overrides[key] !== undefined) {
+                config[key] = overrides[key];
+            }
+        });
+        return config;
+    }
+
+    // Apply thrust, hover damping, regular-flight lift and gravity, then integrate position
+    // taxi: { x, y, vx, vy, hoverMode, facingRight, fuel } - x is the center, y is the top edge
+    // input: { w, a, s, d } - thrusters currently firing
+    // Thrusters and hover burn fuel; with an empty tank the taxi falls unpowered
+    // (a taxi without a fuel value has an unlimited supply)
+    function step(taxi, input, config, deltaTime) {
+        input = input || NO_INPUT;
+        const thrusterForce = config.thrusterForce;
+        const gravityPixels = config.gravity * config.pixelsPerMeter;
+        
+        if (taxi.fuel !== undefined && taxi.fuel <= 0) {
+            // Out of fuel: no thrusters, no hover, no lift - just gravity
+            taxi.fuel = 0;
+            taxi.vy += gravityPixels * deltaTime;
+            taxi.x += taxi.vx * deltaTime;
+            taxi.y += taxi.vy * deltaTime;
+            return;
+        }
+        burnFuel(taxi, input, config, deltaTime);
+
+        // Calculate hover thrust (auto-calculate to match gravity if not specified)
+        let hoverThrust = config.hoverThrust;
+        if (hoverThrust === null || hoverThrust === undefined) {
+            hoverThrust = gravityPixels; // Match gravity exactly for perfect hover
+        }
+
+        if (taxi.hoverMode) {
+            // Hover mode: intelligent damping to slow down to hover
+
+            // Apply damping force opposite to vertical velocity (slows down movement)
+            const hoverDamping = config.hoverDamping;
+            if (taxi.vy > 0) {
+                // Falling down - apply upward damping to slow the fall
+                taxi.vy -= hoverDamping * deltaTime;
+                // Clamp to zero if we've overshot
+                if (taxi.vy < 0) taxi.vy = 0;
+            } else if (taxi.vy < 0) {
+                // Moving up - apply downward damping to slow the rise
+                taxi.vy += hoverDamping * deltaTime;
+                // Clamp to zero if we've overshot
+                if (taxi.vy > 0) taxi.vy = 0;
+            }
+
+            // Apply horizontal damping to slow down horizontal movement
+            if (taxi.vx > 0) {
+                // Moving right - apply leftward damping to slow the movement
+                taxi.vx -= hoverDamping * deltaTime;
+                // Clamp to zero if we've overshot
+                if (taxi.vx < 0) taxi.vx = 0;
+            } else if (taxi.vx < 0) {
+                // Moving left - apply rightward damping to slow the movement
+                taxi.vx += hoverDamping * deltaTime;
+                // Clamp to zero if we've overshot
+                if (taxi.vx > 0) taxi.vx = 0;
+            }
+
+            // Apply hover thrust to counteract gravity (maintains the hover position)
+            taxi.vy -= hoverThrust * deltaTime;
+
+            // W and S still work in hover mode for fine vertical adjustment
+            if (input.w) {
+                // Extra thrust up (on top of hover thrust)
+                taxi.vy -= thrusterForce * deltaTime;
+            }
+            if (input.s) {
+                // Extra thrust down (reduces hover thrust effect)
+                taxi.vy += thrusterForce * deltaTime;
+            }
+
+            // Apply gravity
+            taxi.vy += gravityPixels * deltaTime;
+
+            // In hover mode, left/right thrusters only affect horizontal movement
+            if (input.a) {
+                taxi.vx -= thrusterForce * deltaTime;
+                taxi.facingRight = false; // Face left when pressing 'a'
+            }
+            if (input.d) {
+                taxi.vx += thrusterForce * deltaTime;
+                taxi.facingRight = true; // Face right when pressing 'd'
+            }
+        } else {
+            // Regular mode: normal thruster controls with constant upward thrust to slow fall
+
+            // Constant upward thrust in regular flight (slows the fall, more realistic)
+            taxi.vy -= config.regularFlightThrust * deltaTime;
+
+            // Manual thruster controls
+            if (input.w) {
+                // Extra thrust up (on top of regular flight thrust)
+                taxi.vy -= thrusterForce * deltaTime;
+            }
+            if (input.s) {
+                // Thrust down (adds to gravity, overrides regular flight thrust)
+                taxi.vy += thrusterForce * deltaTime;
+            }
+            if (input.a) {
+                // Thrust left
+                taxi.vx -= thrusterForce * deltaTime;
+                taxi.facingRight = false; // Face left when pressing 'a'
+            }
+            if (input.d) {
+                // Thrust right
+                taxi.vx += thrusterForce * deltaTime;
+                taxi.facingRight = true; // Face right when pressing 'd'
+            }
+
+            // Apply gravity (convert m/s² to pixels/s²)
+            taxi.vy += gravityPixels * deltaTime;
+        }
+
+        // Update position based on velocity (momentum is preserved)
+        taxi.x += taxi.vx * deltaTime;
+        taxi.y += taxi.vy * deltaTime;
+    }
+
+    // Use up fuel for the thrusters firing this step and for hover mode
+    function burnFuel(taxi, input, config, deltaTime) {
+        if (taxi.fuel === undefined) return;
+        
+        let thrusters = 0;
+        if (input.w) thrusters++;
+        if (input.a) thrusters++;
+        if (input.s) thrusters++;
+        if (input.d) thrusters++;
+        
+        let burnRate = thrusters * config.thrusterBurnRate;
+        if (taxi.hoverMode) burnRate += config.hoverBurnRate;
+        taxi.fuel = Math.max(0, taxi.fuel - burnRate * deltaTime);
+    }
+
+    // Keep the taxi inside the given bounds and update onGround
+    // bounds: { left, right, top, bottom } in pixels
+    function clampToBounds(taxi, bounds, config) {
+        const taxiWidth = config.taxiWidth;
+        const taxiHeight = config.taxiHeight;
+
+        // Left and right boundaries
+        const leftBoundary = bounds.left + taxiWidth / 2;
+        const rightBoundary = bounds.right - taxiWidth / 2;
+        if (taxi.x < leftBoundary) {
+            taxi.x = leftBoundary;
+            taxi.vx = 0; // Stop horizontal velocity on collision
+        } else if (taxi.x > rightBoundary) {
+            taxi.x = rightBoundary;
+            taxi.vx = 0; // Stop horizontal velocity on collision
+        }
+
+        // Top and bottom boundaries
+        const topBoundary = bounds.top;
+        const bottomBoundary = bounds.bottom - taxiHeight;
+        if (taxi.y < topBoundary) {
+            taxi.y = topBoundary;
+            taxi.vy = 0; // Stop vertical velocity on collision
+            taxi.onGround = false; // Not on ground if hitting top
+        } else if (taxi.y >= bottomBoundary) {
+            taxi.y = bottomBoundary;
+            taxi.vy = 0;
+            taxi.onGround = true;
+        } else {
+            taxi.onGround = false; // Not on ground if in the air
+        }
+    }
+
+    return {
+        DEFAULT_CONFIG,
+        NO_INPUT,
+        createConfig,
+        step,
+        clampToBounds
+    };
+});
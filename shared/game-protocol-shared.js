@@ -0,0 +1,314 @@
+// Game Protocol - Shared wire format for WebSocket messages (GameEnvelope)
+// Loaded by the browser as a plain script and required by the Node server,
+// so both sides agree on message types, payload layouts and framing
+//
+// GameEnvelope (little-endian):
+//   Header: message type (Uint16) + payload length (Uint16)
+//   Payloads of 65535 bytes or more set the length to 0xFFFF and follow it with the real
+//   length (Uint32) - up to MAX_PAYLOAD_LENGTH
+//   Payload: laid out by the message's format (see MESSAGE_SCHEMA)
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Wire protocol version - bump whenever a message layout changes
+    // Clients send theirs in HELLO and are turned away if it differs
+    const PROTOCOL_VERSION = 4;
+
+    const MESSAGE_TYPE = {
+        PING: 1,
+        PONG: 2,
+        GAME_STATE: 3,
+        START_GAME: 4,
+        STOP_GAME: 5,
+        PLAYER_INPUT: 6,
+        SNAPSHOT_ACK: 7,
+        LEVEL_DATA: 8,
+        PLAYER_EVENT: 9,
+        CONTINUE: 10,
+        INSERT_COIN: 11,
+        ROOM_INFO: 12,
+        SESSION: 13,
+        HELLO: 14,
+        WELCOME: 15,
+        REPLAY_CONTROL: 16,
+        REPLAY_STATUS: 17
+    };
+
+    // WebSocket close codes sent by the server (application range 4000-4999)
+    const CLOSE_CODE = {
+        ROOM_FULL: 4001,
+        SESSION_TAKEN: 4002,    // The player resumed their session on another connection
+        PROTOCOL_MISMATCH: 4003, // The client speaks a different protocol version (see HELLO)
+        HEARTBEAT_TIMEOUT: 4004, // The client stopped answering PINGs, or never said HELLO (see GAME_NETWORK_CONFIG)
+        INPUT_REJECTED: 4005,    // The client kept sending invalid PLAYER_INPUT (see InputValidator)
+        REPLAY_REJECTED: 4006,   // The requested replay is missing, unreadable or from another game version
+        NO_GAME: 4007            // A spectator's room doesn't exist (or has just closed)
+    };
+
+    // PLAYER_INPUT button bits
+    const INPUT_BUTTON = {
+        W: 1,            // Thrust up
+        A: 2,            // Thrust left
+        S: 4,            // Thrust down
+        D: 8,            // Thrust right
+        HOVER: 16,       // Hover mode engaged (H toggles)
+        LANDING_GEAR: 32 // Landing gear deployed (space toggles)
+    };
+
+    // REPLAY_CONTROL actions (replay viewer connections only, see server/replay-viewer-server.js)
+    const REPLAY_ACTION = {
+        PLAY: 1,   // Play from the current tick (from the start once the end was reached)
+        PAUSE: 2,
+        SEEK: 3,   // Jump to the given tick
+        SPEED: 4,  // Play at the given speed (1 = real time)
+        FOLLOW: 5  // Follow the next taxi
+    };
+
+    // Payload formats
+    //   empty:  no payload (body is null)
+    //   fields: fixed binary record (body is an object with the schema's fields)
+    //   json:   UTF-8 JSON object (body is the object)
+    //   binary: raw bytes with their own layout (body is a Uint8Array, e.g. SnapshotCodec output)
+    const FORMAT = {
+        EMPTY: 'empty',
+        FIELDS: 'fields',
+        JSON: 'json',
+        BINARY: 'binary'
+    };
+
+    // Field types for fixed binary records
+    const FIELD_TYPE = {
+        uint8: { size: 1, get: 'getUint8', set: 'setUint8' },
+        uint16: { size: 2, get: 'getUint16', set: 'setUint16' },
+        uint32: { size: 4, get: 'getUint32', set: 'setUint32' },
+        float64: { size: 8, get: 'getFloat64', set: 'setFloat64', float: true }
+    };
+
+    // Payload layout of every message type
+    const MESSAGE_SCHEMA = {
+        [MESSAGE_TYPE.PING]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'pingId', type: 'uint32' },
+                { name: 'sentAt', type: 'float64' } // Sender's clock (ms, see ClockSync)
+            ]
+        },
+        [MESSAGE_TYPE.PONG]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'pingId', type: 'uint32' },
+                { name: 'echoSentAt', type: 'float64' }, // The PING's sentAt, unchanged
+                { name: 'sentAt', type: 'float64' }      // Responder's clock when replying
+            ]
+        },
+        [MESSAGE_TYPE.GAME_STATE]: { format: FORMAT.BINARY }, // See shared/snapshot-codec-shared.js
+        [MESSAGE_TYPE.START_GAME]: { format: FORMAT.EMPTY },
+        [MESSAGE_TYPE.STOP_GAME]: { format: FORMAT.EMPTY },
+        [MESSAGE_TYPE.PLAYER_INPUT]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'sequence', type: 'uint32' },
+                { name: 'clientTick', type: 'uint32' },
+                { name: 'buttons', type: 'uint8' } // INPUT_BUTTON bits
+            ]
+        },
+        [MESSAGE_TYPE.SNAPSHOT_ACK]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'tick', type: 'uint32' }
+            ]
+        },
+        [MESSAGE_TYPE.LEVEL_DATA]: { format: FORMAT.JSON },   // Parsed TMX level
+        [MESSAGE_TYPE.PLAYER_EVENT]: { format: FORMAT.JSON }, // { type, tick, ... }
+        [MESSAGE_TYPE.CONTINUE]: { format: FORMAT.EMPTY },
+        [MESSAGE_TYPE.INSERT_COIN]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'coins', type: 'uint8' } // Credits bought (the server keeps the count - see SESSION)
+            ]
+        },
+        [MESSAGE_TYPE.ROOM_INFO]: { format: FORMAT.JSON },    // { code, players, maxPlayers, spectators }
+        [MESSAGE_TYPE.SESSION]: { format: FORMAT.JSON },      // { playerId, token, resumed, graceSeconds, credits }
+        [MESSAGE_TYPE.HELLO]: { format: FORMAT.JSON },        // { protocolVersion }
+        [MESSAGE_TYPE.WELCOME]: { format: FORMAT.JSON },      // { protocolVersion, playerId, spectator, tickRate, serverTime, world, physics }
+        [MESSAGE_TYPE.REPLAY_CONTROL]: {
+            format: FORMAT.FIELDS,
+            fields: [
+                { name: 'action', type: 'uint8' },  // REPLAY_ACTION
+                { name: 'tick', type: 'uint32' },   // SEEK target
+                { name: 'speed', type: 'float64' }  // SPEED value
+            ]
+        },
+        [MESSAGE_TYPE.REPLAY_STATUS]: { format: FORMAT.JSON } // { event, name, tick, endTick, tickRate, playing, speed, seeking, following }
+    };
+
+    const HEADER_LENGTH = 4;
+    const EXTENDED_LENGTH_MARKER = 0xffff;
+    const EXTENDED_HEADER_LENGTH = 8;
+    const MAX_PAYLOAD_LENGTH = 4 * 1024 * 1024; // Larger frames are refused on both sides
+
+    // Thrown for frames that can't be encoded or decoded
+    class ProtocolError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ProtocolError';
+        }
+    }
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+    // Build a GameEnvelope frame for a message (body as described by the message's format)
+    // Returns a Uint8Array ready for WebSocket.send()
+    function encode(messageType, body = null) {
+        const payload = encodePayload(messageType, body);
+        if (payload.length > MAX_PAYLOAD_LENGTH) {
+            throw new ProtocolError(`Message type ${messageType} payload too large (${payload.length} bytes)`);
+        }
+
+        const extended = payload.length >= EXTENDED_LENGTH_MARKER;
+        const headerLength = extended ? EXTENDED_HEADER_LENGTH : HEADER_LENGTH;
+        const frame = new Uint8Array(headerLength + payload.length);
+        const view = new DataView(frame.buffer);
+        view.setUint16(0, messageType, true);
+        if (extended) {
+            view.setUint16(2, EXTENDED_LENGTH_MARKER, true);
+            view.setUint32(4, payload.length, true);
+        } else {
+            view.setUint16(2, payload.length, true);
+        }
+        frame.set(payload, headerLength);
+        return frame;
+    }
+
+    // Read a GameEnvelope frame (ArrayBuffer, Uint8Array or Node Buffer)
+    // Returns { type, body }; throws ProtocolError for unknown types and truncated or malformed frames
+    function decode(data) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        if (!(bytes instanceof Uint8Array)) {
+            throw new ProtocolError('Frame is not binary');
+        }
+        if (bytes.length < HEADER_LENGTH) {
+            throw new ProtocolError(`Frame truncated: ${bytes.length} byte header`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const messageType = view.getUint16(0, true);
+        let payloadLength = view.getUint16(2, true);
+        let headerLength = HEADER_LENGTH;
+        if (payloadLength === EXTENDED_LENGTH_MARKER) {
+            if (bytes.length < EXTENDED_HEADER_LENGTH) {
+                throw new ProtocolError('Frame truncated: missing extended length');
+            }
+            payloadLength = view.getUint32(4, true);
+            headerLength = EXTENDED_HEADER_LENGTH;
+            if (payloadLength > MAX_PAYLOAD_LENGTH) {
+                throw new ProtocolError(`Frame too large: ${payloadLength} byte payload`);
+            }
+        }
+        if (bytes.length !== headerLength + payloadLength) {
+            throw new ProtocolError(`Frame length mismatch: header says ${payloadLength} payload bytes, frame has ${bytes.length - headerLength}`);
+        }
+
+        const payload = bytes.subarray(headerLength);
+        return { type: messageType, body: decodePayload(messageType, payload) };
+    }
+
+    function getSchema(messageType) {
+        const schema = MESSAGE_SCHEMA[messageType];
+        if (!schema) {
+            throw new ProtocolError(`Unknown message type ${messageType}`);
+        }
+        return schema;
+    }
+
+    function encodePayload(messageType, body) {
+        const schema = getSchema(messageType);
+        switch (schema.format) {
+            case FORMAT.EMPTY:
+                return new Uint8Array(0);
+            case FORMAT.JSON:
+                return textEncoder.encode(JSON.stringify(body));
+            case FORMAT.BINARY:
+                if (!(body instanceof Uint8Array)) {
+                    throw new ProtocolError(`Message type ${messageType} needs a binary body`);
+                }
+                return body;
+            case FORMAT.FIELDS: {
+                const payload = new Uint8Array(recordLength(schema));
+                const view = new DataView(payload.buffer);
+                let offset = 0;
+                schema.fields.forEach(field => {
+                    const type = FIELD_TYPE[field.type];
+                    const value = body[field.name];
+                    view[type.set](offset, type.float ? Number(value) : value >>> 0, true);
+                    offset += type.size;
+                });
+                return payload;
+            }
+        }
+    }
+
+    function decodePayload(messageType, payload) {
+        const schema = getSchema(messageType);
+        switch (schema.format) {
+            case FORMAT.EMPTY:
+                if (payload.length !== 0) {
+                    throw new ProtocolError(`Message type ${messageType} should be empty, has ${payload.length} bytes`);
+                }
+                return null;
+            case FORMAT.BINARY:
+                return payload;
+            case FORMAT.JSON: {
+                let body;
+                try {
+                    body = JSON.parse(textDecoder.decode(payload));
+                } catch (error) {
+                    throw new ProtocolError(`Message type ${messageType} has malformed JSON`);
+                }
+                if (body === null || typeof body !== 'object') {
+                    throw new ProtocolError(`Message type ${messageType} JSON is not an object`);
+                }
+                return body;
+            }
+            case FORMAT.FIELDS: {
+                if (payload.length !== recordLength(schema)) {
+                    throw new ProtocolError(`Message type ${messageType} ${payload.length < recordLength(schema) ? 'truncated' : 'too long'}: ${payload.length} of ${recordLength(schema)} bytes`);
+                }
+                const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+                const body = {};
+                let offset = 0;
+                schema.fields.forEach(field => {
+                    const type = FIELD_TYPE[field.type];
+                    body[field.name] = view[type.get](offset, true);
+                    offset += type.size;
+                });
+                return body;
+            }
+        }
+    }
+
+    // Byte length of a fixed binary record
+    function recordLength(schema) {
+        return schema.fields.reduce((length, field) => length + FIELD_TYPE[field.type].size, 0);
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        MESSAGE_TYPE,
+        CLOSE_CODE,
+        INPUT_BUTTON,
+        REPLAY_ACTION,
+        FORMAT,
+        MESSAGE_SCHEMA,
+        MAX_PAYLOAD_LENGTH,
+        ProtocolError,
+        encode,
+        decode
+    };
+});
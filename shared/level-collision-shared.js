@@ -0,0 +1,218 @@
+// Level Collision - Shared taxi vs level collision (solid tiles, landing platforms, world edges)
+// Loaded by the browser as a plain script and required by the Node server,
+// so client prediction and the server agree on landings and crashes
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./flight-physics-shared'));
+    } else {
+        root.LevelCollision = factory(root.FlightPhysics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (FlightPhysics) {
+    // Object group holding the landing platforms in TMX levels
+    const PLATFORM_GROUP = 'Platforms';
+
+    // Platform object types (Tiled object "type"/"class") with special behaviour
+    const PLATFORM_TYPE = {
+        FUEL: 'fuel' // Refuels parked taxis (price per unit in the fuelPrice property)
+    };
+
+    // Crash reasons reported in crash events
+    const CRASH_REASON = {
+        BUILDING: 'building',   // Flew into a solid tile or the side of a platform
+        TOO_FAST: 'too-fast',   // Touched down faster than safeLandingSpeed
+        GEAR_UP: 'gear-up'      // Touched down with the landing gear retracted
+    };
+
+    // Build the collision data for a level (parsed TMX, see server/tmx-loader-server.js)
+    // Tiles are solid unless their tileset (or the tile itself) has the property solid = false
+    function createCollisionMap(level) {
+        const columns = level.columns;
+        const rows = level.rows;
+        const solid = new Uint8Array(columns * rows);
+
+        // Tileset lookup by gid (tilesets are sorted by firstGid in TMX files)
+        const findTileset = gid => {
+            let match = null;
+            level.tilesets.forEach(tileset => {
+                if (gid >= tileset.firstGid) match = tileset;
+            });
+            return match;
+        };
+        const isSolidGid = gid => {
+            const tileset = findTileset(gid);
+            if (!tileset) return true;
+            const tile = tileset.tiles ? tileset.tiles[gid - tileset.firstGid] : null;
+            if (tile && tile.properties.solid !== undefined) return tile.properties.solid !== false;
+            return tileset.properties.solid !== false;
+        };
+
+        level.tileLayers.forEach(layer => {
+            if (layer.properties.collision === false) return; // Decoration-only layer
+            layer.data.forEach((gid, index) => {
+                if (gid !== 0 && isSolidGid(gid)) {
+                    solid[index] = 1;
+                }
+            });
+        });
+
+        const platformGroup = level.objectGroups.find(group => group.name === PLATFORM_GROUP);
+        const platforms = platformGroup ? platformGroup.objects.map(object => ({
+            id: object.id,
+            name: object.name,
+            type: object.type,
+            x: object.x,
+            y: object.y,
+            width: object.width,
+            height: object.height,
+            properties: object.properties
+        })) : [];
+
+        return {
+            columns,
+            rows,
+            tileWidth: level.tileWidth,
+            tileHeight: level.tileHeight,
+            solid,
+            platforms
+        };
+    }
+
+    // Advance a taxi one step: flight model, then collisions
+    // Returns a landing/crash event ({ type: 'landed' | 'crashed', ... }) or null
+    // taxi additionally carries: onGround, landingGear, crashed, platformId
+    function stepTaxi(taxi, input, config, deltaTime, bounds, collisionMap) {
+        // Wrecked taxis stay where they crashed until the server respawns them
+        if (taxi.crashed) return null;
+
+        const previousY = taxi.y;
+        const wasOnGround = taxi.onGround;
+        FlightPhysics.step(taxi, input, config, deltaTime);
+
+        if (!collisionMap) {
+            FlightPhysics.clampToBounds(taxi, bounds, config);
+            return null;
+        }
+
+        // Resting taxis stay on their surface until they thrust upwards
+        const event = resolveSurfaces(taxi, previousY, wasOnGround, config, bounds, collisionMap);
+        if (event) return event;
+
+        if (touchesSolidTile(taxi, config, collisionMap)) {
+            return crash(taxi, CRASH_REASON.BUILDING);
+        }
+
+        clampToEdges(taxi, bounds, config);
+        return null;
+    }
+
+    // Landing surfaces: platform tops and the world floor (platform id 0)
+    function resolveSurfaces(taxi, previousY, wasOnGround, config, bounds, collisionMap) {
+        const halfWidth = config.taxiWidth / 2;
+        const previousBottom = previousY + config.taxiHeight;
+        const bottom = taxi.y + config.taxiHeight;
+
+        for (const platform of collisionMap.platforms) {
+            // No horizontal overlap - not this platform
+            if (taxi.x + halfWidth <= platform.x || taxi.x - halfWidth >= platform.x + platform.width) {
+                continue;
+            }
+            // Completely above or below the platform
+            if (bottom < platform.y || taxi.y >= platform.y + platform.height) {
+                continue;
+            }
+            // Came in from the side or below - that's a collision, not a landing
+            if (previousBottom > platform.y + 1) {
+                return crash(taxi, CRASH_REASON.BUILDING);
+            }
+            return touchDown(taxi, platform.y, platform.id, wasOnGround, config);
+        }
+
+        if (bottom >= bounds.bottom) {
+            return touchDown(taxi, bounds.bottom, 0, wasOnGround, config);
+        }
+
+        taxi.onGround = false;
+        taxi.platformId = 0;
+        return null;
+    }
+
+    // Settle the taxi on a surface, or crash if the touchdown was unsafe
+    function touchDown(taxi, surfaceY, platformId, wasOnGround, config) {
+        const impactSpeed = taxi.vy;
+
+        if (!wasOnGround) {
+            if (impactSpeed > config.safeLandingSpeed) {
+                return crash(taxi, CRASH_REASON.TOO_FAST, impactSpeed);
+            }
+            if (!taxi.landingGear) {
+                return crash(taxi, CRASH_REASON.GEAR_UP, impactSpeed);
+            }
+        }
+
+        taxi.y = surfaceY - config.taxiHeight;
+        taxi.vx = 0; // Pads are grippy - no sliding
+        taxi.vy = 0;
+        taxi.onGround = true;
+        taxi.platformId = platformId;
+
+        if (wasOnGround) return null;
+        return { type: 'landed', platformId: platformId, speed: impactSpeed };
+    }
+
+    // Does the taxi's box overlap any solid tile?
+    function touchesSolidTile(taxi, config, collisionMap) {
+        const left = taxi.x - config.taxiWidth / 2;
+        const right = taxi.x + config.taxiWidth / 2;
+        const top = taxi.y;
+        const bottom = taxi.y + config.taxiHeight;
+
+        const firstColumn = Math.max(0, Math.floor(left / collisionMap.tileWidth));
+        const lastColumn = Math.min(collisionMap.columns - 1, Math.ceil(right / collisionMap.tileWidth) - 1);
+        const firstRow = Math.max(0, Math.floor(top / collisionMap.tileHeight));
+        const lastRow = Math.min(collisionMap.rows - 1, Math.ceil(bottom / collisionMap.tileHeight) - 1);
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                if (collisionMap.solid[row * collisionMap.columns + column]) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Keep the taxi inside the left, right and top world edges
+    function clampToEdges(taxi, bounds, config) {
+        const halfWidth = config.taxiWidth / 2;
+        if (taxi.x < bounds.left + halfWidth) {
+            taxi.x = bounds.left + halfWidth;
+            taxi.vx = 0;
+        } else if (taxi.x > bounds.right - halfWidth) {
+            taxi.x = bounds.right - halfWidth;
+            taxi.vx = 0;
+        }
+        if (taxi.y < bounds.top) {
+            taxi.y = bounds.top;
+            taxi.vy = 0;
+        }
+    }
+
+    // Wreck the taxi in place
+    function crash(taxi, reason, speed = 0) {
+        taxi.crashed = true;
+        taxi.vx = 0;
+        taxi.vy = 0;
+        taxi.onGround = false;
+        taxi.platformId = 0;
+        return { type: 'crashed', reason: reason, speed: speed };
+    }
+
+    return {
+        PLATFORM_GROUP,
+        PLATFORM_TYPE,
+        CRASH_REASON,
+        createCollisionMap,
+        stepTaxi
+    };
+});
@@ -0,0 +1,320 @@
+// Snapshot Codec - Binary layout of GAME_STATE payloads
+// Loaded by the browser as a plain script and required by the Node server: the server encodes
+// frames (see server/snapshot-encoder-server.js), the client decodes them
+//
+// Snapshots are delta-compressed per client: each payload names the baseline tick the
+// client last acknowledged and only carries fields that changed since then.
+// A baseline tick of 0 means a full snapshot (every entity, every field).
+//
+// GAME_STATE payload (little-endian):
+//   Header (26 bytes):
+//     tick (Uint32) + baseline tick (Uint32) + update count (Uint16) + removal count (Uint16)
+//     + recipient's taxi netId (Uint16, 0 = none)
+//     + last input sequence the server applied for the recipient (Uint32, for client reconciliation)
+//     + server time the snapshot was taken (Float64, ms on the server's ClockSync clock)
+//   Update record (new or changed entity):
+//     kind (Uint8, see ENTITY_KIND) + netId (Uint16) + field mask (Uint16)
+//     followed by each field whose mask bit is set, in schema order
+//   Removal record (entity present in the baseline but gone now):
+//     kind (Uint8) + netId (Uint16)
+//
+// A frame is { tick, serverTime, entities: Map(key -> { kind, netId, values: [int] }) } - the
+// quantized values both ends compare and store as delta baselines
+// Truncated or malformed payloads are rejected with GameProtocol.ProtocolError, as bad envelopes are
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./game-protocol-shared'));
+    } else {
+        root.SnapshotCodec = factory(root.GameProtocol);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GameProtocol) {
+    const ProtocolError = GameProtocol.ProtocolError;
+
+    // Quantization scales
+    const POSITION_SCALE = 16; // 1/16 pixel precision
+    const VELOCITY_SCALE = 4;  // 1/4 pixel/second precision
+
+    // Entity kinds
+    const ENTITY_KIND = {
+        PLAYER: 0,
+        AI_PLAYER: 1,
+        PROJECTILE: 2,
+        PASSENGER: 3
+    };
+
+    // Taxi flag bits
+    const SNAPSHOT_FLAG = {
+        HOVER_MODE: 1,
+        LANDING_GEAR: 2,
+        FACING_RIGHT: 4,
+        ON_GROUND: 8,
+        CRASHED: 16
+    };
+
+    // Field value types: byte size, range and DataView accessors
+    const FIELD_TYPE = {
+        int32: { size: 4, min: -0x7fffffff, max: 0x7fffffff, get: 'getInt32', set: 'setInt32' },
+        int16: { size: 2, min: -0x7fff, max: 0x7fff, get: 'getInt16', set: 'setInt16' },
+        uint16: { size: 2, min: 0, max: 0xffff, get: 'getUint16', set: 'setUint16' },
+        uint8: { size: 1, min: 0, max: 0xff, get: 'getUint8', set: 'setUint8' }
+    };
+
+    // Pack taxi booleans into SNAPSHOT_FLAG bits
+    function packTaxiFlags(taxi) {
+        let flags = 0;
+        if (taxi.hoverMode) flags |= SNAPSHOT_FLAG.HOVER_MODE;
+        if (taxi.landingGear) flags |= SNAPSHOT_FLAG.LANDING_GEAR;
+        if (taxi.facingRight) flags |= SNAPSHOT_FLAG.FACING_RIGHT;
+        if (taxi.onGround) flags |= SNAPSHOT_FLAG.ON_GROUND;
+        if (taxi.crashed) flags |= SNAPSHOT_FLAG.CRASHED;
+        return flags;
+    }
+
+    // Field schemas per entity kind (order defines mask bits)
+    const TAXI_FIELDS = [
+        { name: 'x', type: 'int32', scale: POSITION_SCALE },
+        { name: 'y', type: 'int32', scale: POSITION_SCALE },
+        { name: 'vx', type: 'int16', scale: VELOCITY_SCALE },
+        { name: 'vy', type: 'int16', scale: VELOCITY_SCALE },
+        { name: 'flags', type: 'uint8', read: packTaxiFlags },
+        { name: 'health', type: 'uint8' },
+        { name: 'cash', type: 'int32', scale: 100 },   // Cents
+        { name: 'fuel', type: 'uint16', scale: 100 },
+        { name: 'lives', type: 'uint8' }
+    ];
+
+    const PROJECTILE_FIELDS = [
+        { name: 'x', type: 'int32', scale: POSITION_SCALE },
+        { name: 'y', type: 'int32', scale: POSITION_SCALE },
+        { name: 'vx', type: 'int16', scale: VELOCITY_SCALE },
+        { name: 'vy', type: 'int16', scale: VELOCITY_SCALE }
+    ];
+
+    // state is Passenger.STATE; platform ids are TMX object ids
+    const PASSENGER_FIELDS = [
+        { name: 'x', type: 'int32', scale: POSITION_SCALE },
+        { name: 'y', type: 'int32', scale: POSITION_SCALE },
+        { name: 'state', type: 'uint8' },
+        { name: 'platformId', type: 'uint16' },
+        { name: 'destinationPlatformId', type: 'uint16' },
+        { name: 'taxiNetId', type: 'uint16' },
+        { name: 'tip', type: 'uint16' }
+    ];
+
+    const ENTITY_SCHEMA = {
+        [ENTITY_KIND.PLAYER]: TAXI_FIELDS,
+        [ENTITY_KIND.AI_PLAYER]: TAXI_FIELDS,
+        [ENTITY_KIND.PROJECTILE]: PROJECTILE_FIELDS,
+        [ENTITY_KIND.PASSENGER]: PASSENGER_FIELDS
+    };
+
+    const HEADER_LENGTH = 26;
+    const UPDATE_HEADER_LENGTH = 5;
+    const REMOVAL_LENGTH = 3;
+
+    class SnapshotCodec {
+        // Key of an entity in a frame's entity map
+        static entityKey(kind, netId) {
+            return kind * 0x10000 + netId;
+        }
+
+        // Quantize one field of an entity to the integer sent on the wire
+        static quantizeField(field, entity) {
+            const type = FIELD_TYPE[field.type];
+            const raw = field.read ? field.read(entity) : entity[field.name];
+            const quantized = Math.round((raw || 0) * (field.scale || 1));
+            return Math.max(type.min, Math.min(type.max, quantized));
+        }
+
+        // Encode a frame as a delta against a baseline frame (null = full snapshot)
+        // recipient: { netId, lastProcessedInputSeq } of the receiving client's taxi (if any)
+        // Returns the GAME_STATE payload as a Uint8Array
+        static encode(frame, baseline = null, recipient = null) {
+            const baseEntities = baseline ? baseline.entities : new Map();
+            const updates = [];
+            const removals = [];
+            let length = HEADER_LENGTH;
+
+            // Collect new and changed entities with the mask of changed fields
+            frame.entities.forEach((entity, key) => {
+                const baseEntity = baseEntities.get(key);
+                let mask = 0;
+                entity.values.forEach((value, index) => {
+                    if (!baseEntity || baseEntity.values[index] !== value) {
+                        mask |= 1 << index;
+                    }
+                });
+                if (mask === 0) return;
+
+                updates.push({ entity, mask });
+                length += UPDATE_HEADER_LENGTH;
+                ENTITY_SCHEMA[entity.kind].forEach((field, index) => {
+                    if (mask & (1 << index)) length += FIELD_TYPE[field.type].size;
+                });
+            });
+
+            // Collect entities that disappeared since the baseline
+            baseEntities.forEach((entity, key) => {
+                if (!frame.entities.has(key)) {
+                    removals.push(entity);
+                    length += REMOVAL_LENGTH;
+                }
+            });
+
+            const bytes = new Uint8Array(length);
+            const view = new DataView(bytes.buffer);
+            let offset = 0;
+
+            // Write header
+            view.setUint32(offset, frame.tick, true); offset += 4;
+            view.setUint32(offset, baseline ? baseline.tick : 0, true); offset += 4;
+            view.setUint16(offset, updates.length, true); offset += 2;
+            view.setUint16(offset, removals.length, true); offset += 2;
+            view.setUint16(offset, recipient ? recipient.netId : 0, true); offset += 2;
+            view.setUint32(offset, recipient ? recipient.lastProcessedInputSeq >>> 0 : 0, true); offset += 4;
+            view.setFloat64(offset, frame.serverTime, true); offset += 8;
+
+            // Write update records
+            updates.forEach(({ entity, mask }) => {
+                view.setUint8(offset, entity.kind); offset += 1;
+                view.setUint16(offset, entity.netId, true); offset += 2;
+                view.setUint16(offset, mask, true); offset += 2;
+                ENTITY_SCHEMA[entity.kind].forEach((field, index) => {
+                    if (!(mask & (1 << index))) return;
+                    const type = FIELD_TYPE[field.type];
+                    view[type.set](offset, entity.values[index], true);
+                    offset += type.size;
+                });
+            });
+
+            // Write removal records
+            removals.forEach(entity => {
+                view.setUint8(offset, entity.kind); offset += 1;
+                view.setUint16(offset, entity.netId, true); offset += 2;
+            });
+
+            return bytes;
+        }
+
+        // Decode a GAME_STATE payload (DataView) against the baseline it names
+        // getBaseline(tick) returns the entity map of an earlier decoded frame, if still known
+        // Returns { tick, serverTime, entities, localNetId, lastProcessedInputSeq },
+        // or null if the baseline is unknown (the server falls back to a full snapshot)
+        // Throws ProtocolError for payloads that are truncated, too long or name unknown entity kinds
+        static decode(view, getBaseline) {
+            let offset = 0;
+
+            // Fail before reading past the end of the payload
+            const need = (length, what) => {
+                if (offset + length > view.byteLength) {
+                    throw new ProtocolError(`GAME_STATE truncated: ${what} needs ${length} bytes at offset ${offset} of ${view.byteLength}`);
+                }
+            };
+
+            need(HEADER_LENGTH, 'header');
+            const tick = view.getUint32(offset, true); offset += 4;
+            const baseTick = view.getUint32(offset, true); offset += 4;
+            const updateCount = view.getUint16(offset, true); offset += 2;
+            const removalCount = view.getUint16(offset, true); offset += 2;
+            const localNetId = view.getUint16(offset, true); offset += 2;
+            const lastProcessedInputSeq = view.getUint32(offset, true); offset += 4;
+            const serverTime = view.getFloat64(offset, true); offset += 8;
+
+            let entities;
+            if (baseTick === 0) {
+                entities = new Map();
+            } else {
+                const baseEntities = getBaseline(baseTick);
+                if (!baseEntities) return null;
+                entities = new Map(baseEntities);
+            }
+
+            // Apply new and changed entities on top of the baseline
+            for (let i = 0; i < updateCount; i++) {
+                need(UPDATE_HEADER_LENGTH, 'update record');
+                const kind = view.getUint8(offset); offset += 1;
+                const netId = view.getUint16(offset, true); offset += 2;
+                const mask = view.getUint16(offset, true); offset += 2;
+                const key = SnapshotCodec.entityKey(kind, netId);
+                const schema = ENTITY_SCHEMA[kind];
+                if (!schema) {
+                    throw new ProtocolError(`GAME_STATE has unknown entity kind ${kind}`);
+                }
+                if (mask >> schema.length) {
+                    throw new ProtocolError(`GAME_STATE mask ${mask} has bits beyond entity kind ${kind}'s ${schema.length} fields`);
+                }
+                const baseEntity = entities.get(key);
+                const values = baseEntity ? baseEntity.values.slice() : schema.map(() => 0);
+
+                schema.forEach((field, index) => {
+                    if (!(mask & (1 << index))) return;
+                    const type = FIELD_TYPE[field.type];
+                    need(type.size, `field ${field.name}`);
+                    values[index] = view[type.get](offset, true);
+                    offset += type.size;
+                });
+                entities.set(key, { kind, netId, values });
+            }
+
+            // Drop entities that no longer exist
+            for (let i = 0; i < removalCount; i++) {
+                need(REMOVAL_LENGTH, 'removal record');
+                const kind = view.getUint8(offset); offset += 1;
+                const netId = view.getUint16(offset, true); offset += 2;
+                entities.delete(SnapshotCodec.entityKey(kind, netId));
+            }
+            if (offset !== view.byteLength) {
+                throw new ProtocolError(`GAME_STATE has ${view.byteLength - offset} trailing bytes`);
+            }
+
+            return { tick, serverTime, entities, localNetId, lastProcessedInputSeq };
+        }
+
+        // Turn a frame's entities into plain entity objects (dequantized, flags unpacked)
+        static buildSnapshot(tick, entities) {
+            const snapshot = { tick, players: [], aiPlayers: [], projectiles: [], passengers: [] };
+
+            entities.forEach(entity => {
+                const state = { netId: entity.netId };
+                ENTITY_SCHEMA[entity.kind].forEach((field, index) => {
+                    state[field.name] = entity.values[index] / (field.scale || 1);
+                });
+
+                if (entity.kind === ENTITY_KIND.PROJECTILE) {
+                    state.id = entity.netId;
+                    snapshot.projectiles.push(state);
+                    return;
+                }
+                if (entity.kind === ENTITY_KIND.PASSENGER) {
+                    snapshot.passengers.push(state);
+                    return;
+                }
+
+                state.hoverMode = (state.flags & SNAPSHOT_FLAG.HOVER_MODE) !== 0;
+                state.landingGear = (state.flags & SNAPSHOT_FLAG.LANDING_GEAR) !== 0;
+                state.facingRight = (state.flags & SNAPSHOT_FLAG.FACING_RIGHT) !== 0;
+                state.onGround = (state.flags & SNAPSHOT_FLAG.ON_GROUND) !== 0;
+                state.crashed = (state.flags & SNAPSHOT_FLAG.CRASHED) !== 0;
+                delete state.flags;
+
+                if (entity.kind === ENTITY_KIND.PLAYER) {
+                    snapshot.players.push(state);
+                } else {
+                    snapshot.aiPlayers.push(state);
+                }
+            });
+
+            return snapshot;
+        }
+    }
+
+    SnapshotCodec.POSITION_SCALE = POSITION_SCALE;
+    SnapshotCodec.VELOCITY_SCALE = VELOCITY_SCALE;
+    SnapshotCodec.ENTITY_KIND = ENTITY_KIND;
+    SnapshotCodec.SNAPSHOT_FLAG = SNAPSHOT_FLAG;
+    SnapshotCodec.FIELD_TYPE = FIELD_TYPE;
+    SnapshotCodec.ENTITY_SCHEMA = ENTITY_SCHEMA;
+
+    return SnapshotCodec;
+});
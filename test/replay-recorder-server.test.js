@@ -0,0 +1,68 @@
+// Replay Recorder tests - which games get written to disk, and how commands are packed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ReplayRecorder = require('../server/replay-recorder-server');
+
+const HEADER = { roomCode: 'TEST', simulationVersion: 1, settings: {} };
+
+// Recorder writing to a fresh temporary directory
+function createRecorder(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-recorder-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new ReplayRecorder(HEADER, { directory: directory });
+}
+
+test('saves a game with commands that ran for at least one tick', async (t) => {
+    const recorder = createRecorder(t);
+    recorder.record(0, { type: 'join', playerId: 'player-1' });
+
+    const filePath = await recorder.save(20);
+    assert.ok(filePath);
+    assert.ok(fs.existsSync(filePath));
+});
+
+test('skips a game nobody joined', async (t) => {
+    const recorder = createRecorder(t);
+
+    assert.strictEqual(await recorder.save(20), null);
+    assert.deepStrictEqual(fs.readdirSync(recorder.config.directory), []);
+});
+
+test('skips a game that stopped before its first tick', async (t) => {
+    const recorder = createRecorder(t);
+    recorder.record(0, { type: 'join', playerId: 'player-1' });
+
+    assert.strictEqual(await recorder.save(0), null);
+    assert.deepStrictEqual(fs.readdirSync(recorder.config.directory), []);
+});
+
+test('a later save replaces the game saved so far', async (t) => {
+    const recorder = createRecorder(t);
+    recorder.record(0, { type: 'join', playerId: 'player-1' });
+
+    const checkpoint = recorder.save(20);
+    recorder.record(30, { type: 'leave', playerId: 'player-1' });
+    const final = recorder.save(40);
+    assert.strictEqual(await checkpoint, await final);
+
+    const replay = JSON.parse(zlib.gunzipSync(fs.readFileSync(await final)));
+    assert.strictEqual(replay.endTick, 40);
+    assert.strictEqual(replay.commands.length, 2);
+    assert.deepStrictEqual(fs.readdirSync(recorder.config.directory), [path.basename(await final)]);
+});
+
+test('packs inputs and coins so they unpack as recorded', () => {
+    const input = { type: 'input', playerId: 'player-1', input: { sequence: 7, clientTick: 9, buttons: 5 } };
+    const coin = { type: 'coin', playerId: 'player-1', coins: 2 };
+    const leave = { type: 'leave', playerId: 'player-1' };
+
+    [input, coin, leave].forEach(command => {
+        const entry = JSON.parse(JSON.stringify(ReplayRecorder.packCommand(12, command)));
+        assert.deepStrictEqual(ReplayRecorder.unpackCommand(entry), { tick: 12, command: command });
+    });
+});